@@ -4,23 +4,162 @@ import prompts from "prompts";
 import pc from "picocolors";
 import fs from "fs";
 import path from "path";
-import os from "os";
-import { fileURLToPath } from "url";
-import { imageSize } from "image-size";
+import { fileURLToPath, pathToFileURL } from "url";
+import { parseArgs } from "util";
 import { execSync, spawn } from "child_process";
-import { compileWithDetails } from "rics";
+import {
+  REPORT_FORMATS,
+  summarize,
+  formatJson,
+  formatSarif,
+  formatGitHubAnnotations,
+} from "../lib/reporters.js";
+import { minifyCss } from "../lib/css.js";
+import { mapOutputLines, createSourceMap } from "../lib/sourcemap.js";
+import { createThemeServer } from "../lib/server.js";
+import { renderPreviewHtml } from "../lib/preview.js";
+import { findThemeDirs, expandThemePatterns } from "../lib/discover.js";
+import { unifiedDiff } from "../lib/diff.js";
+import { codeFrame } from "../lib/codeframe.js";
+import { parseVersion } from "../lib/semver.js";
+import {
+  renderChangelogSection,
+  prependChangelogSection,
+  hasChangelogEntry,
+  releaseSubjectPattern,
+} from "../lib/changelog.js";
+import {
+  ARCHIVE_FORMATS,
+  detectArchiveFormat,
+  createArchive,
+} from "../lib/archive.js";
+import {
+  checkIsGitRepo,
+  isWorkingTreeClean,
+  gitTagExists,
+  getPreviousVersionTag,
+  getCommitSubjects,
+  getGitRemote,
+} from "../lib/git.js";
+import { checkTheme, fixTheme, validateTheme } from "../lib/validate.js";
+import {
+  STARTER_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  TAG_CHOICES,
+  DEFAULT_DESCRIPTION,
+  isDirectoryEmpty,
+  toThemeId,
+  toThemeTitle,
+  validateThemeId,
+  validateTitle,
+  validateCreator,
+  validateTags,
+  resolveTemplate,
+  createTheme,
+} from "../lib/create.js";
+import { BUMP_TYPES, planBump, applyBump } from "../lib/bump.js";
+import { getPublishStatus, simulatePublish, collectThemeFiles, sha256 } from "../lib/publish.js";
+import { compileStylesheet } from "../lib/stylesheet.js";
+import { ThemeError } from "../lib/errors.js";
+import {
+  CONFIG_KEYS,
+  PROJECT_CONFIG_FILE,
+  loadConfig,
+  loadConfigFiles,
+  findProjectConfig,
+  userConfigPath,
+  getConfigValue,
+  parseConfigValue,
+  writeConfigValue,
+} from "../lib/config.js";
+import { RULE_CATEGORIES, applyRuleSettings, ruleCategory } from "../lib/rules.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
 
-// Recommended image dimensions
-const RECOMMENDED_WIDTH = 1280;
-const RECOMMENDED_HEIGHT = 720;
-
-// GitHub URL patterns
-const GITHUB_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?github\.com\/([^\/]+)\/([^\/]+)(?:\/)?(?:\.git)?$/;
+const DEFAULT_DIRECTORY = "my-bl-theme";
+
+// Flags accepted by `create`, one per prompt
+const CREATE_OPTIONS = {
+  id: { type: "string" },
+  title: { type: "string" },
+  description: { type: "string" },
+  "description-file": { type: "boolean" },
+  creator: { type: "string" },
+  tags: { type: "string" },
+  shaders: { type: "boolean" },
+  template: { type: "string" },
+  license: { type: "string" },
+  force: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+};
+
+// Flags accepted by `validate`
+const VALIDATE_OPTIONS = {
+  format: { type: "string", short: "f" },
+  ci: { type: "boolean" },
+  fix: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  all: { type: "boolean" },
+};
+
+// Flags accepted by `publish`
+const PUBLISH_OPTIONS = {
+  registry: { type: "string" },
+  offline: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+};
+
+// Flags accepted by `config`
+const CONFIG_OPTIONS = {
+  project: { type: "boolean" },
+};
+
+// Flags accepted by `bump`
+const BUMP_OPTIONS = {
+  preid: { type: "string" },
+  commit: { type: "boolean" },
+  tag: { type: "boolean" },
+  push: { type: "boolean" },
+  message: { type: "string", short: "m" },
+  changelog: { type: "boolean" },
+};
+
+// Commit (and tag) message for `bump --commit`; %s is replaced with the new version
+const DEFAULT_RELEASE_MESSAGE = "chore: release v%s";
+
+// Flags accepted by `build`
+const BUILD_OPTIONS = {
+  out: { type: "string", short: "o" },
+  minify: { type: "boolean" },
+  sourcemap: { type: "boolean" },
+};
+
+// Flags accepted by `dev`
+const DEV_OPTIONS = {
+  port: { type: "string", short: "p" },
+  host: { type: "string" },
+  open: { type: "boolean" },
+};
+
+// Flags accepted by `preview`
+const PREVIEW_OPTIONS = {
+  out: { type: "string", short: "o" },
+  serve: { type: "boolean" },
+  open: { type: "boolean" },
+  port: { type: "string", short: "p" },
+  host: { type: "string" },
+};
+
+// Flags accepted by `pack`
+const PACK_OPTIONS = {
+  out: { type: "string", short: "o" },
+  format: { type: "string" },
+};
+
+const DEFAULT_DEV_PORT = 4321;
+const DEV_WATCHED_FILES = ["style.rics", "style.css", "metadata.json", "shader.json"];
 
 // GitHub App URL for auto-updates
 const GITHUB_APP_URL = "https://github.com/apps/better-lyrics-harmonizer/installations/new";
@@ -62,6 +201,14 @@ function openBrowser(url) {
   });
 }
 
+// CI mode never prompts; it is on in CI environments and non-TTY shells
+function isCiMode(flags) {
+  if (flags.ci) return true;
+  const ci = process.env.CI;
+  if (ci && ci !== "false" && ci !== "0") return true;
+  return !process.stdin.isTTY;
+}
+
 // Prompt to install GitHub App for auto-updates
 async function promptGitHubAppInstall() {
   console.log();
@@ -95,7 +242,8 @@ async function promptGitHubAppInstall() {
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  // picocolors reads --color and --no-color itself, so they work with every command
+  const args = process.argv.slice(2).filter((arg) => arg !== "--color" && arg !== "--no-color");
   const command = args[0];
 
   // Handle flags first (no banner)
@@ -109,27 +257,122 @@ async function main() {
     return;
   }
 
-  console.log();
-  console.log(pc.bold(pc.cyan("  Better Lyrics Theme Creator")) + pc.dim(` v${pkg.version}`));
-  console.log(pc.dim("  Create themes for Better Lyrics extension"));
-  console.log();
-
   if (command === "validate") {
-    await validate(args[1] || ".");
+    const { values, positionals } = parseFlags(args.slice(1), VALIDATE_OPTIONS);
+    // Structured output must be the only thing on stdout
+    if ((values.format ?? "text") === "text") {
+      printBanner();
+    }
+    if (values.all) {
+      await validateAll(positionals[0] || ".", values);
+    } else {
+      await validate(positionals[0] || ".", values);
+    }
+    return;
+  }
+
+  // Settings go straight to stdout, so `config get` can be used in scripts
+  if (command === "config") {
+    const { values, positionals } = parseFlags(args.slice(1), CONFIG_OPTIONS);
+    config(positionals, values);
     return;
   }
 
+  printBanner();
+
   if (command === "publish") {
-    await publish(args[1] || ".");
+    const { values, positionals } = parseFlags(args.slice(1), PUBLISH_OPTIONS);
+    await publish(positionals[0] || ".", values);
     return;
   }
 
   if (command === "bump") {
-    await bump(args[1], args[2]);
+    const { values, positionals } = parseFlags(args.slice(1), BUMP_OPTIONS);
+    await bumpThemes(positionals, values);
+    return;
+  }
+
+  if (command === "build") {
+    const { values, positionals } = parseFlags(args.slice(1), BUILD_OPTIONS);
+    const dirs = resolveThemeDirs(positionals);
+    if (dirs.length > 1 && values.out) {
+      console.log(pc.red("Error: --out only works when building a single theme."));
+      process.exit(1);
+    }
+    await forEachTheme(dirs, (dir) => build(dir, values));
+    return;
+  }
+
+  if (command === "dev") {
+    const { values, positionals } = parseFlags(args.slice(1), DEV_OPTIONS);
+    await dev(positionals[0] || ".", values);
+    return;
+  }
+
+  if (command === "pack") {
+    const { values, positionals } = parseFlags(args.slice(1), PACK_OPTIONS);
+    const dirs = resolveThemeDirs(positionals);
+    if (dirs.length > 1 && values.out) {
+      console.log(pc.red("Error: --out only works when packing a single theme."));
+      process.exit(1);
+    }
+    await forEachTheme(dirs, (dir) => pack(dir, values));
     return;
   }
 
-  await create(command);
+  if (command === "preview") {
+    const { values, positionals } = parseFlags(args.slice(1), PREVIEW_OPTIONS);
+    await preview(positionals[0] || ".", values);
+    return;
+  }
+
+  const { values, positionals } = parseFlags(args, CREATE_OPTIONS);
+  await create(positionals[0], values);
+}
+
+function printBanner() {
+  console.log();
+  console.log(pc.bold(pc.cyan("  Better Lyrics Theme Creator")) + pc.dim(` v${pkg.version}`));
+  console.log(pc.dim("  Create themes for Better Lyrics extension"));
+  console.log();
+}
+
+// Parse command-line flags, exiting with a readable error on unknown options
+function parseFlags(args, options) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true });
+  } catch (e) {
+    console.log(pc.red(`Error: ${e.message}`));
+    console.log(pc.dim("Run create-bl-theme --help for usage."));
+    process.exit(1);
+  }
+}
+
+// Print an error from the library: its message, any problems, then the hint
+function printThemeError(error, log = console.log) {
+  log(pc.red(`Error: ${error.message}`));
+  error.problems?.forEach((problem) => log(pc.red(`  - ${problem}`)));
+  error.hint?.split("\n").forEach((line) => log(pc.dim(`  ${line}`)));
+}
+
+// Theme directories from command arguments (paths or glob patterns), "." by default
+function resolveThemeDirs(patterns) {
+  try {
+    return expandThemePatterns(patterns.length > 0 ? patterns : ["."]);
+  } catch (e) {
+    console.log(pc.red(`Error: ${e.message}`));
+    process.exit(1);
+  }
+}
+
+// Run a command for each theme in turn, labelling its output when there are several
+async function forEachTheme(dirs, run) {
+  for (const dir of dirs) {
+    if (dirs.length > 1) {
+      console.log(pc.bold(pc.cyan(`${path.relative(process.cwd(), dir) || "."}:`)));
+    }
+    await run(path.relative(process.cwd(), dir) || ".");
+  }
 }
 
 function showHelp() {
@@ -139,21 +382,97 @@ CLI for Better Lyrics themes
 
 ${pc.bold("Usage:")}
   ${pc.cyan("create-bl-theme")} [name]              Create a new theme
-  ${pc.cyan("create-bl-theme")} validate [dir|url]  Validate a theme (local or GitHub)
+  ${pc.cyan("create-bl-theme")} validate [dir|url]  Validate a theme (local, git/GitHub, or packed archive)
   ${pc.cyan("create-bl-theme")} publish [dir]       Check publishing status
-  ${pc.cyan("create-bl-theme")} bump [type] [dir]   Bump version (patch, minor, major)
+  ${pc.cyan("create-bl-theme")} bump [type] [dirs]  Bump version (patch, minor, major, pre*, or x.y.z)
+  ${pc.cyan("create-bl-theme")} build [dirs]        Compile style.rics to style.css
+  ${pc.cyan("create-bl-theme")} dev [dir]           Watch, recompile and serve with live reload
+  ${pc.cyan("create-bl-theme")} preview [dir]       Render an HTML preview of the lyrics panel
+  ${pc.cyan("create-bl-theme")} pack [dirs]         Package the files a theme ships into an archive
+  ${pc.cyan("create-bl-theme")} config <action>     Show or change settings: list, get <key>, set <key> <value>, unset <key>
 
 ${pc.bold("Options:")}
   ${pc.cyan("-v, --version")}  Show version number
   ${pc.cyan("-h, --help")}     Show this help message
+  ${pc.cyan("--no-color")}     Plain output for logs ${pc.dim("(also NO_COLOR=1)")}
+
+${pc.bold("Validate Options:")}
+  ${pc.cyan("-f, --format <format>")}     Output format: text (default), json, or sarif
+  ${pc.cyan("--ci")}                      No prompts, plus GitHub Actions annotations ${pc.dim("(auto in CI / non-TTY)")}
+  ${pc.cyan("--fix")}                     Apply safe fixes (images list, version, leftovers)
+  ${pc.cyan("--dry-run")}                 With --fix, show a diff instead of writing files
+  ${pc.cyan("--all")}                     Validate every theme under [dir], with a summary table
+
+${pc.bold("Publish Options:")}
+  ${pc.cyan("--registry <url|path>")}     Registry base URL, or a local directory / index.json ${pc.dim("(env: BL_THEME_REGISTRY)")}
+  ${pc.cyan("--offline")}                 Use the last cached registry instead of fetching it
+  ${pc.cyan("--dry-run")}                 Run the registry's checks and show the lock entry it would write
+
+${pc.bold("Bump Options:")}
+  ${pc.cyan("--preid <id>")}              Prerelease identifier for pre* types, e.g. beta
+  ${pc.cyan("--commit")}                  Commit metadata.json (needs a clean working tree)
+  ${pc.cyan("--tag")}                     Commit and create an annotated v<version> tag
+  ${pc.cyan("--push")}                    Commit, then push the commit and its tags
+  ${pc.cyan("--changelog")}               Start CHANGELOG.md from git history (kept up to date once it exists)
+  ${pc.cyan("-m, --message <template>")}  Commit message, %s is the version ${pc.dim('(default: "chore: release v%s")')}
+
+${pc.bold("Build Options:")}
+  ${pc.cyan("-o, --out <file>")}          Output path ${pc.dim("(default: style.css in the theme)")}
+  ${pc.cyan("--minify")}                  Minify the compiled CSS
+  ${pc.cyan("--sourcemap")}               Write a source map back to style.rics
+
+${pc.bold("Dev Options:")}
+  ${pc.cyan("-p, --port <port>")}         Port to serve on ${pc.dim(`(default: ${DEFAULT_DEV_PORT})`)}
+  ${pc.cyan("--host <host>")}             Host to bind ${pc.dim("(default: 127.0.0.1)")}
+  ${pc.cyan("--open")}                    Open the live preview in your browser
+
+${pc.bold("Preview Options:")}
+  ${pc.cyan("-o, --out <file>")}          Output path ${pc.dim("(default: preview.html in the theme)")}
+  ${pc.cyan("--serve")}                   Serve the preview with live reload instead ${pc.dim("(accepts dev options)")}
+  ${pc.cyan("--open")}                    Open the preview in your browser
+
+${pc.bold("Pack Options:")}
+  ${pc.cyan("-o, --out <file>")}          Archive path ${pc.dim("(default: <id>-<version>.zip)")}
+  ${pc.cyan("--format <format>")}         zip (default) or tar.gz
+
+${pc.bold("Create Options:")}
+  ${pc.cyan("--id <id>")}                 Theme ID (lowercase, hyphens allowed)
+  ${pc.cyan("--title <title>")}           Theme title
+  ${pc.cyan("--description <text>")}      Short description
+  ${pc.cyan("--description-file")}        Use DESCRIPTION.md for the description
+  ${pc.cyan("--creator <username>")}      Your GitHub username
+  ${pc.cyan("--tags <a,b>")}              Comma-separated tags (${TAG_CHOICES.join(", ")})
+  ${pc.cyan("--shaders")}                 Include shader.json
+  ${pc.cyan("--template <name|dir>")}     Starter template (${STARTER_TEMPLATES.join(", ")}) or a local directory
+  ${pc.cyan("--license <name>")}          License named in the README ${pc.dim("(default: MIT)")}
+  ${pc.cyan("--force")}                   Allow scaffolding into a non-empty directory
+  ${pc.cyan("-y, --yes")}                 Accept defaults for anything not passed as a flag
+
+${pc.bold("Config Options:")}
+  ${pc.cyan("--project")}                 With set/unset, change ${PROJECT_CONFIG_FILE} instead of the user config
+  ${pc.dim(`Settings: ${Object.keys(CONFIG_KEYS).join(", ")}, rules.<rule-id> (off, warn, error)`)}
 
 ${pc.bold("Examples:")}
   ${pc.dim("$")} create-bl-theme my-awesome-theme
+  ${pc.dim("$")} create-bl-theme my-theme --yes --creator user --tags dark,neon
+  ${pc.dim("$")} create-bl-theme my-theme --template glassmorphism
   ${pc.dim("$")} create-bl-theme validate ./my-theme
   ${pc.dim("$")} create-bl-theme validate https://github.com/user/theme-repo
+  ${pc.dim("$")} create-bl-theme validate user/theme-repo@v1.2.0:themes/neon
+  ${pc.dim("$")} create-bl-theme validate --format sarif > results.sarif
+  ${pc.dim("$")} create-bl-theme validate --fix --dry-run
   ${pc.dim("$")} create-bl-theme publish
   ${pc.dim("$")} create-bl-theme bump patch
   ${pc.dim("$")} create-bl-theme bump minor ./my-theme
+  ${pc.dim("$")} create-bl-theme bump prerelease --preid beta
+  ${pc.dim("$")} create-bl-theme bump minor --tag --push
+  ${pc.dim("$")} create-bl-theme validate --all
+  ${pc.dim("$")} create-bl-theme build "themes/*"
+  ${pc.dim("$")} create-bl-theme build --minify --sourcemap
+  ${pc.dim("$")} create-bl-theme preview --open
+  ${pc.dim("$")} create-bl-theme pack --format tar.gz
+  ${pc.dim("$")} create-bl-theme config set creator username
+  ${pc.dim("$")} create-bl-theme config set rules.image-aspect-ratio error --project
 
 ${pc.bold("Theme Structure:")}
   my-theme/
@@ -170,63 +489,173 @@ ${pc.bold("Documentation:")}
 `);
 }
 
-function isDirectoryEmpty(dirPath) {
-  const entries = fs.readdirSync(dirPath);
-  return entries.every((entry) => entry.startsWith("."));
+const validateDirectory = (value) =>
+  value.length > 0 ? true : "Directory name is required";
+
+// Answers that must be present (and valid) before a theme can be written
+const REQUIRED_ANSWERS = [
+  { name: "id", flag: "--id", validate: validateThemeId },
+  { name: "title", flag: "--title", validate: validateTitle },
+  { name: "creator", flag: "--creator", validate: validateCreator },
+  { name: "tags", flag: "--tags", validate: validateTags },
+];
+
+// Map create flags onto the answers the prompts would produce
+function answersFromFlags(flags) {
+  const answers = {};
+  if (flags.id !== undefined) answers.id = flags.id;
+  if (flags.title !== undefined) answers.title = flags.title;
+  if (flags.description !== undefined) answers.description = flags.description;
+  if (flags["description-file"]) answers.useDescriptionFile = true;
+  if (flags.creator !== undefined) answers.creator = flags.creator;
+  if (flags.tags !== undefined) {
+    answers.tags = flags.tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  if (flags.shaders) answers.hasShaders = true;
+  if (flags.template !== undefined) answers.template = flags.template;
+  if (flags.license !== undefined) answers.license = flags.license;
+  return answers;
+}
+
+// Fill in what isn't required with the prompts' initial values. The creator
+// and tags from config files count as given.
+function withOptionalAnswers(answers, config) {
+  const templateName = answers.template ?? config.template ?? DEFAULT_TEMPLATE;
+  return {
+    description: DEFAULT_DESCRIPTION,
+    useDescriptionFile: false,
+    template: templateName,
+    hasShaders: Boolean(resolveTemplate(templateName).shaderPath),
+    ...(config.creator && { creator: config.creator }),
+    ...(config.tags && { tags: config.tags }),
+    ...answers,
+  };
 }
 
-async function create(targetDir) {
-  if (targetDir) {
-    const earlyPath = path.resolve(process.cwd(), targetDir);
-    if (fs.existsSync(earlyPath) && !isDirectoryEmpty(earlyPath)) {
-      const { proceed } = await prompts({
-        type: "confirm",
-        name: "proceed",
-        message: `Directory "${targetDir}" is not empty. Continue anyway? (files may be overwritten)`,
-        initial: false,
-      });
-      if (!proceed) {
-        console.log(pc.red("\nCancelled."));
-        process.exit(1);
-      }
+// With --yes, also default the directory, id, title and tags like the prompts do
+function withDefaultAnswers(targetDir, answers, config) {
+  const directory = targetDir || answers.directory || DEFAULT_DIRECTORY;
+  const filled = withOptionalAnswers(answers, config);
+  return {
+    directory: targetDir ? undefined : directory,
+    ...filled,
+    tags: filled.tags ?? resolveTemplate(filled.template).tags,
+    id: answers.id ?? toThemeId(directory),
+    title: answers.title ?? toThemeTitle(directory),
+  };
+}
+
+function findAnswerProblems(answers, { requireAll }) {
+  const problems = [];
+  for (const { name, flag, validate } of REQUIRED_ANSWERS) {
+    if (answers[name] === undefined) {
+      if (requireAll) problems.push(`${flag} is required`);
+      continue;
+    }
+    const result = validate(answers[name]);
+    if (result !== true) {
+      problems.push(`${flag}: ${result}`);
     }
   }
+  return problems;
+}
+
+function exitWithAnswerProblems(problems, header) {
+  console.log(pc.red(`Error: ${header}`));
+  problems.forEach((problem) => console.log(pc.red(`  - ${problem}`)));
+  console.log(pc.dim("Run create-bl-theme --help for the available flags."));
+  process.exit(1);
+}
+
+// Ask before writing into a non-empty directory, or refuse when we can't ask
+async function confirmNonEmptyDirectory(dir, { force, interactive }) {
+  const fullPath = path.resolve(process.cwd(), dir);
+  if (force || !fs.existsSync(fullPath) || isDirectoryEmpty(fullPath)) {
+    return;
+  }
+
+  if (!interactive) {
+    console.log(pc.red(`Error: Directory "${dir}" is not empty.`));
+    console.log(pc.dim("Pass --force to scaffold into it anyway (files may be overwritten)."));
+    process.exit(1);
+  }
+
+  const { proceed } = await prompts({
+    type: "confirm",
+    name: "proceed",
+    message: `Directory "${dir}" is not empty. Continue anyway? (files may be overwritten)`,
+    initial: false,
+  });
+  if (!proceed) {
+    console.log(pc.red("\nCancelled."));
+    process.exit(1);
+  }
+}
+
+async function create(targetDir, flags = {}) {
+  const interactive = Boolean(process.stdin.isTTY);
+  let answers = answersFromFlags(flags);
+
+  // Config files supply defaults for the prompts; flags still win
+  const config = loadConfig(process.cwd());
+  const configTags = config.tags ? validateTags(config.tags) : true;
+  if (configTags !== true) {
+    console.log(pc.red(`Error: Invalid tags in config - ${configTags}`));
+    process.exit(1);
+  }
+  if (config.template !== undefined) {
+    resolveTemplate(config.template);
+  }
+
+  const invalid = findAnswerProblems(answers, { requireAll: false });
+  if (invalid.length > 0) {
+    exitWithAnswerProblems(invalid, "Invalid options:");
+  }
+  if (answers.template !== undefined) {
+    resolveTemplate(answers.template);
+  }
+
+  // Without a TTY, only --yes fills in required values
+  if (flags.yes) {
+    answers = withDefaultAnswers(targetDir, answers, config);
+  } else if (!interactive) {
+    answers = withOptionalAnswers(answers, config);
+  }
+
+  if (targetDir) {
+    await confirmNonEmptyDirectory(targetDir, { force: flags.force, interactive });
+  }
 
   const questions = [
     {
       type: targetDir ? null : "text",
       name: "directory",
       message: "Theme directory name:",
-      initial: "my-bl-theme",
-      validate: (value) =>
-        value.length > 0 ? true : "Directory name is required",
+      initial: DEFAULT_DIRECTORY,
+      validate: validateDirectory,
     },
     {
       type: "text",
       name: "id",
       message: "Theme ID (lowercase, hyphens allowed):",
-      initial: (prev) => (targetDir || prev).toLowerCase().replace(/\s+/g, "-"),
-      validate: (value) =>
-        /^[a-z0-9-]+$/.test(value)
-          ? true
-          : "Only lowercase letters, numbers, and hyphens allowed",
+      initial: (prev) => toThemeId(targetDir || prev),
+      validate: validateThemeId,
     },
     {
       type: "text",
       name: "title",
       message: "Theme title:",
-      initial: (prev, values) =>
-        (targetDir || values.directory)
-          .split("-")
-          .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-          .join(" "),
-      validate: (value) => (value.length > 0 ? true : "Title is required"),
+      initial: (prev, values) => toThemeTitle(targetDir || values.directory),
+      validate: validateTitle,
     },
     {
       type: "text",
       name: "description",
       message: "Description:",
-      initial: "A custom theme for Better Lyrics",
+      initial: DEFAULT_DESCRIPTION,
     },
     {
       type: "confirm",
@@ -238,172 +667,89 @@ async function create(targetDir) {
       type: "text",
       name: "creator",
       message: "Your GitHub username:",
-      validate: (value) =>
-        value.length > 0 ? true : "GitHub username is required",
+      initial: config.creator,
+      validate: validateCreator,
+    },
+    {
+      type: "select",
+      name: "template",
+      message: "Starter template:",
+      choices: STARTER_TEMPLATES.map((name) => {
+        const template = resolveTemplate(name);
+        return { title: template.title, description: template.description, value: name };
+      }),
+      initial: Math.max(STARTER_TEMPLATES.indexOf(config.template ?? DEFAULT_TEMPLATE), 0),
     },
     {
       type: "multiselect",
       name: "tags",
       message: "Select tags (space to toggle, enter to confirm):",
-      choices: [
-        { title: "dark", value: "dark" },
-        { title: "light", value: "light" },
-        { title: "minimal", value: "minimal" },
-        { title: "colorful", value: "colorful" },
-        { title: "animated", value: "animated" },
-        { title: "glassmorphism", value: "glassmorphism" },
-        { title: "retro", value: "retro" },
-        { title: "neon", value: "neon" },
-      ],
+      choices: (prev, values) => {
+        const tags = config.tags ?? resolveTemplate(values.template).tags;
+        return TAG_CHOICES.map((tag) => ({
+          title: tag,
+          value: tag,
+          selected: tags.includes(tag),
+        }));
+      },
       hint: "- Space to select. Return to submit",
     },
     {
       type: "confirm",
       name: "hasShaders",
       message: "Will this theme include shaders?",
-      initial: false,
+      initial: (prev, values) => Boolean(resolveTemplate(values.template).shaderPath),
     },
   ];
 
-  const response = await prompts(questions, {
-    onCancel: () => {
-      console.log(pc.red("\nCancelled."));
-      process.exit(1);
-    },
-  });
+  let response;
+  if (interactive) {
+    prompts.override(answers);
+    response = await prompts(questions, {
+      onCancel: () => {
+        console.log(pc.red("\nCancelled."));
+        process.exit(1);
+      },
+    });
+  } else {
+    const missing = findAnswerProblems(answers, { requireAll: true });
+    if (!targetDir && answers.directory === undefined) {
+      missing.unshift("[name] is required (the theme directory)");
+    }
+    if (missing.length > 0) {
+      exitWithAnswerProblems(
+        missing,
+        "Missing required options (stdin is not a TTY, so there is nothing to prompt - pass --yes to accept the defaults):"
+      );
+    }
+    response = answers;
+  }
 
   const dir = targetDir || response.directory;
   const fullPath = path.resolve(process.cwd(), dir);
+  const template = resolveTemplate(response.template);
 
-  if (!targetDir && fs.existsSync(fullPath) && !isDirectoryEmpty(fullPath)) {
-    const { proceed } = await prompts({
-      type: "confirm",
-      name: "proceed",
-      message: `Directory "${dir}" is not empty. Continue anyway? (files may be overwritten)`,
-      initial: false,
-    });
-    if (!proceed) {
-      console.log(pc.red("\nCancelled."));
-      process.exit(1);
-    }
+  if (!targetDir) {
+    await confirmNonEmptyDirectory(dir, { force: flags.force, interactive });
   }
 
   console.log();
   console.log(pc.dim(`Creating theme in ${fullPath}...`));
 
-  // Create directories
-  fs.mkdirSync(fullPath, { recursive: true });
-  fs.mkdirSync(path.join(fullPath, "images"), { recursive: true });
-
-  // Create metadata.json
-  const metadata = {
+  // The directory was confirmed above, so scaffold into it regardless
+  createTheme({
+    directory: dir,
     id: response.id,
     title: response.title,
-    creators: [response.creator],
-    minVersion: "2.0.5.6",
-    hasShaders: response.hasShaders,
-    version: "1.0.0",
+    description: response.description,
+    useDescriptionFile: response.useDescriptionFile,
+    creator: response.creator,
     tags: response.tags,
-    images: ["preview.png"],
-  };
-
-  // Only include description in metadata.json if not using DESCRIPTION.md
-  if (!response.useDescriptionFile) {
-    metadata.description = response.description;
-  }
-
-  fs.writeFileSync(
-    path.join(fullPath, "metadata.json"),
-    JSON.stringify(metadata, null, 2)
-  );
-
-  // Create DESCRIPTION.md if user opted for it
-  if (response.useDescriptionFile) {
-    const descriptionMd = `<!--
-  Better Lyrics supports GitHub Flavored Markdown (GFM) for theme descriptions.
-  You can use all standard GFM features including:
-  - **Bold** and *italic* text
-  - [Links](https://example.com)
-  - Images: ![alt text](https://example.com/image.png)
-  - Lists (ordered and unordered)
-  - Code blocks with syntax highlighting
-  - Tables
-  - And more!
-
-  This file takes precedence over the "description" field in metadata.json.
-  Delete this comment block when you're ready to publish.
--->
-
-## Features
-
-- Add your theme features here
-- Describe what makes your theme special
-- Use **bold** for emphasis on key points
-
-## Preview
-
-<!-- You can embed images directly in your description -->
-<!-- ![Theme Preview](https://your-image-url.png) -->
-
-## Installation Notes
-
-Any special instructions for using this theme.
-
-## Compatibility
-
-- Works with Better Lyrics v2.0.5.6+
-`;
-    fs.writeFileSync(path.join(fullPath, "DESCRIPTION.md"), descriptionMd);
-  }
-
-  // Create style.rics from template
-  const ricsTemplate = fs.readFileSync(
-    path.join(TEMPLATES_DIR, "style.rics"),
-    "utf-8"
-  );
-  fs.writeFileSync(path.join(fullPath, "style.rics"), ricsTemplate);
-
-  // Create shader.json if needed
-  if (response.hasShaders) {
-    const shaderTemplate = fs.readFileSync(
-      path.join(TEMPLATES_DIR, "shader.json"),
-      "utf-8"
-    );
-    fs.writeFileSync(path.join(fullPath, "shader.json"), shaderTemplate);
-  }
-
-  // Create README
-  const readme = `# ${response.title}
-
-${response.description}
-
-## Installation
-
-1. Open Better Lyrics extension options
-2. Go to **Themes** tab
-3. Click **Install from URL**
-4. Enter: \`https://github.com/${response.creator}/${dir}\`
-
-## Preview
-
-![Preview](images/preview.png)
-
-## License
-
-MIT
-`;
-  fs.writeFileSync(path.join(fullPath, "README.md"), readme);
-
-  fs.writeFileSync(
-    path.join(fullPath, ".gitattributes"),
-    "*.rics linguist-language=SCSS\n"
-  );
-
-  // Create placeholder image note
-  fs.writeFileSync(
-    path.join(fullPath, "images", ".gitkeep"),
-    "Add your preview screenshots here.\nRecommended: 1280x720 (16:9 aspect ratio)\nRename your main preview to preview.png\n"
-  );
+    hasShaders: response.hasShaders,
+    template: response.template,
+    license: answers.license ?? config.license,
+    force: true,
+  });
 
   console.log();
   console.log(pc.green("  Theme scaffolded successfully!"));
@@ -414,7 +760,7 @@ MIT
     console.log(`  ${pc.dim(`${stepNum}.`)} cd ${dir}`);
     stepNum++;
   }
-  console.log(`  ${pc.dim(`${stepNum}.`)} Edit ${pc.cyan("style.rics")} with your theme styles`);
+  console.log(`  ${pc.dim(`${stepNum}.`)} Edit ${pc.cyan(template.styleFile)} with your theme styles`);
   stepNum++;
   console.log(
     `  ${pc.dim(`${stepNum}.`)} Add a preview screenshot to ${pc.cyan("images/preview.png")}`
@@ -450,364 +796,385 @@ MIT
   console.log();
 }
 
-async function validate(dir) {
-  let fullPath;
-  let tempDir = null;
-  let errors = [];
-  let warnings = [];
-
-  // Check if input is a GitHub URL
-  const githubMatch = dir.match(GITHUB_URL_PATTERN);
-
-  if (githubMatch) {
-    const [, owner, repo] = githubMatch;
-    const repoUrl = `https://github.com/${owner}/${repo}.git`;
+async function validate(dir, flags = {}) {
+  const format = flags.format ?? "text";
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(pc.red(`Error: Unknown format "${format}". Use one of: ${REPORT_FORMATS.join(", ")}`));
+    process.exit(1);
+  }
+  if (flags["dry-run"] && !flags.fix) {
+    console.error(pc.red("Error: --dry-run only applies together with --fix"));
+    process.exit(1);
+  }
 
-    console.log(pc.dim(`Cloning ${pc.cyan(`${owner}/${repo}`)} from GitHub...\n`));
+  // Machine-readable formats keep stdout clean for the report itself
+  const isText = format === "text";
+  const ci = isCiMode(flags);
+  const log = isText ? console.log : () => {};
+  const fail = isText ? console.log : console.error;
 
-    try {
-      // Create temp directory
-      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "bl-theme-"));
-      fullPath = tempDir;
+  let result;
+  let cloning = false;
+  try {
+    result = await validateTheme(dir, {
+      fix: flags.fix,
+      dryRun: flags["dry-run"],
+      includeSources: isText,
+      onProgress: ({ stage, label, path: themePath }) => {
+        if (stage === "extract") log(pc.dim(`Extracting ${pc.cyan(label)}...\n`));
+        if (stage === "clone") {
+          cloning = true;
+          log(pc.dim(`Cloning ${pc.cyan(label)}...\n`));
+        }
+        if (stage === "check") {
+          if (cloning) log(pc.green("  Cloned successfully!\n"));
+          log(pc.dim(`Validating theme at ${themePath}...\n`));
+        }
+      },
+    });
+  } catch (e) {
+    if (!(e instanceof ThemeError)) throw e;
+    printThemeError(e, fail);
+    process.exit(1);
+  }
 
-      // Clone the repository (shallow clone for speed)
-      execSync(`git clone --depth 1 ${repoUrl} "${tempDir}"`, {
-        stdio: "pipe",
-      });
+  // Repaired (or with --dry-run, repairable) problems come before the report
+  if (result.fixes) {
+    printFixes(result.fixes, { dryRun: flags["dry-run"], log: fail });
+  }
 
-      console.log(pc.green(`  Cloned successfully!\n`));
-    } catch (e) {
-      console.log(pc.red(`Error: Could not clone repository "${owner}/${repo}"`));
-      console.log(pc.dim(`  Make sure the repository exists and is publicly accessible.\n`));
+  const { fixes, source, sources = {}, ...summary } = result;
+  const { findings } = summary;
+  const errors = findings.filter((f) => f.severity === "error");
+  const warnings = findings.filter((f) => f.severity === "warning");
 
-      if (e.message) {
-        console.log(pc.dim(`  ${e.message}`));
-      }
+  // Findings are relative to the theme; reports point at a local theme from the
+  // working directory, and name the archive a packed theme came from
+  const reportRoot = source.type === "local" ? path.relative(process.cwd(), source.path) : "";
+  const archive = source.type === "archive" ? source.path : undefined;
 
-      process.exit(1);
-    }
+  // Print results
+  if (format === "json" || format === "sarif") {
+    const output =
+      format === "json"
+        ? formatJson(summary)
+        : formatSarif(summary, { version: pkg.version, root: reportRoot, archive });
+    console.log(output);
+  } else if (errors.length === 0 && warnings.length === 0) {
+    console.log(pc.green("  All checks passed!"));
   } else {
-    fullPath = path.resolve(process.cwd(), dir);
+    printFindingGroups(findings, "  ", (file) => sources[file]);
+    const counts = `${plural(errors.length, "error")}, ${plural(warnings.length, "warning")}`;
+    console.log(errors.length > 0 ? pc.red(`  ${counts}`) : pc.yellow(`  ${counts}`));
   }
 
-  console.log(pc.dim(`Validating theme at ${fullPath}...\n`));
+  log();
 
-  // Check directory exists
-  if (!fs.existsSync(fullPath)) {
-    console.log(pc.red(`Error: Directory "${dir}" does not exist.`));
-    process.exit(1);
+  if (isText && ci && findings.length > 0) {
+    console.log(formatGitHubAnnotations(summary, { root: reportRoot, archive }));
+    console.log();
   }
 
-  // Check for DESCRIPTION.md
-  const descriptionMdPath = path.join(fullPath, "DESCRIPTION.md");
-  const hasDescriptionMd = fs.existsSync(descriptionMdPath);
-
-  // Check metadata.json
-  const metadataPath = path.join(fullPath, "metadata.json");
-  if (!fs.existsSync(metadataPath)) {
-    errors.push("metadata.json is missing");
-  } else {
-    try {
-      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
-      const required = [
-        "id",
-        "title",
-        "creators",
-        "minVersion",
-        "hasShaders",
-        "version",
-        "images",
-      ];
-
-      for (const field of required) {
-        if (metadata[field] === undefined) {
-          errors.push(`metadata.json: missing required field "${field}"`);
-        }
-      }
-
-      // Validate version format (semver)
-      if (metadata.version) {
-        const semverRegex = /^\d+\.\d+\.\d+(-[\w.]+)?(\+[\w.]+)?$/;
-        if (!semverRegex.test(metadata.version)) {
-          errors.push(
-            `metadata.json: invalid version format "${metadata.version}". Must be semver (e.g., 1.0.0, 1.0.0-beta.1)`
-          );
-        }
-      }
+  // Prompt to install GitHub App if validation passed
+  if (isText && !ci && errors.length === 0) {
+    await promptGitHubAppInstall();
+  }
 
-      // Check for description: either in metadata.json OR in DESCRIPTION.md
-      if (!metadata.description && !hasDescriptionMd) {
-        errors.push(
-          'Missing description: add "description" field in metadata.json or create DESCRIPTION.md'
-        );
-      }
+  if (errors.length > 0) {
+    process.exit(1);
+  }
+}
 
-      if (hasDescriptionMd) {
-        const descContent = fs.readFileSync(descriptionMdPath, "utf-8").trim();
-        if (descContent.length === 0) {
-          errors.push("DESCRIPTION.md exists but is empty");
-        }
-      }
+// Validate every theme under a directory, with a summary table and a check
+// that no two themes share an id
+async function validateAll(root, flags = {}) {
+  const format = flags.format ?? "text";
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(pc.red(`Error: Unknown format "${format}". Use one of: ${REPORT_FORMATS.join(", ")}`));
+    process.exit(1);
+  }
+  if (flags["dry-run"] && !flags.fix) {
+    console.error(pc.red("Error: --dry-run only applies together with --fix"));
+    process.exit(1);
+  }
 
-      if (metadata.id && !/^[a-z0-9-]+$/.test(metadata.id)) {
-        errors.push(
-          "metadata.json: id must be lowercase letters, numbers, and hyphens only"
-        );
-      }
+  const isText = format === "text";
+  const ci = isCiMode(flags);
+  const fail = isText ? console.log : console.error;
 
-      if (metadata.creators && !Array.isArray(metadata.creators)) {
-        errors.push("metadata.json: creators must be an array");
-      }
+  const rootPath = path.resolve(process.cwd(), root);
+  if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+    fail(pc.red(`Error: Directory "${root}" does not exist.`));
+    process.exit(1);
+  }
 
-      if (metadata.images && !Array.isArray(metadata.images)) {
-        errors.push("metadata.json: images must be an array");
-      }
+  const dirs = findThemeDirs(rootPath);
+  if (dirs.length === 0) {
+    fail(pc.red(`Error: No themes found under "${root}" (looking for directories with a metadata.json).`));
+    process.exit(1);
+  }
 
-      // Check if images referenced in metadata.json exist in images/
-      if (metadata.images && Array.isArray(metadata.images)) {
-        const imagesDir = path.join(fullPath, "images");
-        for (const image of metadata.images) {
-          const imagePath = path.join(imagesDir, image);
-          if (!fs.existsSync(imagePath)) {
-            errors.push(
-              `metadata.json: image "${image}" not found in images/ directory`
-            );
-          }
-        }
-      }
+  const themes = dirs.map((dir) => ({
+    dir,
+    name: path.relative(rootPath, dir).split(path.sep).join("/") || ".",
+  }));
 
-      if (!metadata.tags) {
-        warnings.push("metadata.json: consider adding tags for discoverability");
-      }
-    } catch (e) {
-      errors.push(`metadata.json: invalid JSON - ${e.message}`);
-    }
+  if (isText) {
+    console.log(pc.dim(`Validating ${themes.length} theme${themes.length === 1 ? "" : "s"} under ${rootPath}...\n`));
   }
 
-  // Check for style.rics or style.css (prefer .rics)
-  const ricsPath = path.join(fullPath, "style.rics");
-  const cssPath = path.join(fullPath, "style.css");
-  const hasRics = fs.existsSync(ricsPath);
-  const hasCss = fs.existsSync(cssPath);
-
-  if (!hasRics && !hasCss) {
-    errors.push("Missing required file: style.rics or style.css");
-  } else if (hasRics) {
-    const ricsSource = fs.readFileSync(ricsPath, "utf-8");
-    if (ricsSource.trim().length === 0) {
-      warnings.push("style.rics is empty");
-    } else {
-      // Validate RICS syntax
-      try {
-        const result = compileWithDetails(ricsSource);
-        if (result.errors && result.errors.length > 0) {
-          for (const err of result.errors) {
-            const location = err.start
-              ? ` (line ${err.start.line}, column ${err.start.column})`
-              : "";
-            errors.push(`style.rics: ${err.message}${location}`);
-          }
-        }
-        if (result.warnings && result.warnings.length > 0) {
-          for (const warn of result.warnings) {
-            warnings.push(`style.rics: ${warn.message || warn}`);
-          }
-        }
-      } catch (e) {
-        errors.push(`style.rics: Failed to compile - ${e.message}`);
-      }
+  for (const theme of themes) {
+    if (flags.fix) {
+      fail(pc.bold(pc.cyan(`${theme.name}:`)));
+      printFixes(fixTheme(theme.dir, { dryRun: flags["dry-run"] }), { dryRun: flags["dry-run"], log: fail });
     }
-  } else if (hasCss) {
-    const css = fs.readFileSync(cssPath, "utf-8");
-    if (css.trim().length === 0) {
-      warnings.push("style.css is empty");
+    theme.findings = checkTheme(theme.dir);
+    theme.rules = loadConfig(theme.dir).rules;
+    try {
+      theme.metadata = JSON.parse(fs.readFileSync(path.join(theme.dir, "metadata.json"), "utf-8"));
+    } catch {
+      // Reported by checkTheme
+      theme.metadata = {};
     }
   }
 
-  // Check images directory
-  const imagesDir = path.join(fullPath, "images");
-  if (!fs.existsSync(imagesDir)) {
-    errors.push("images/ directory is missing");
-  } else {
-    const images = fs
-      .readdirSync(imagesDir)
-      .filter((f) => /\.(png|jpg|jpeg|gif|webp)$/i.test(f));
-    if (images.length === 0) {
-      errors.push("images/ directory must contain at least one image");
-    } else {
-      // Validate each image
-      for (const image of images) {
-        const imagePath = path.join(imagesDir, image);
-
-        try {
-          const imageBuffer = fs.readFileSync(imagePath);
-          const dimensions = imageSize(imageBuffer);
-
-          if (!dimensions || !dimensions.width || !dimensions.height) {
-            errors.push(
-              `${pc.bold(image)}: Unable to read image dimensions - the file may be corrupted or in an unsupported format`
-            );
-            continue;
-          }
-
-          const { width, height } = dimensions;
-          const aspectRatio = (width / height).toFixed(2);
-          const recommendedAspectRatio = (RECOMMENDED_WIDTH / RECOMMENDED_HEIGHT).toFixed(2);
-
-          // Only warn if aspect ratio differs from recommended 16:9
-          if (aspectRatio !== recommendedAspectRatio) {
-            warnings.push(`${pc.bold(image)}: ${width}x${height} (aspect ratio ${aspectRatio})`);
-          }
-        } catch (e) {
-          // Handle corrupted or unreadable images
-          if (e.message.includes("unsupported") || e.message.includes("Invalid")) {
-            errors.push(
-              `${pc.bold(image)}: This image appears to be corrupted or in an unsupported format\n      ${pc.dim("Please ensure the file is a valid image (PNG, JPG, GIF, or WebP)")}`
-            );
-          } else if (e.code === "ENOENT") {
-            errors.push(`${pc.bold(image)}: File not found`);
-          } else {
-            errors.push(
-              `${pc.bold(image)}: Could not validate image - ${e.message}\n      ${pc.dim("The file may be corrupted or inaccessible")}`
-            );
-          }
-        }
-      }
-    }
+  // Two themes with the same id would overwrite each other in the store
+  const themesById = new Map();
+  for (const theme of themes) {
+    const id = theme.metadata?.id;
+    if (typeof id !== "string") continue;
+    themesById.set(id, [...(themesById.get(id) ?? []), theme]);
   }
-
-  // Check shader.json if hasShaders is true
-  if (fs.existsSync(metadataPath)) {
-    try {
-      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
-      if (metadata.hasShaders) {
-        const shaderPath = path.join(fullPath, "shader.json");
-        if (!fs.existsSync(shaderPath)) {
-          errors.push("shader.json is missing but hasShaders is true");
-        }
-      }
-    } catch (e) {
-      // Already reported JSON error above
+  for (const [id, group] of themesById) {
+    if (group.length < 2) continue;
+    for (const theme of group) {
+      const others = group.filter((other) => other !== theme).map((other) => other.name);
+      theme.findings.push({
+        ruleId: "theme-duplicate-id",
+        category: ruleCategory("theme-duplicate-id"),
+        severity: "error",
+        file: "metadata.json",
+        message: `id "${id}" is also used by ${others.join(", ")}`,
+      });
     }
   }
 
-  // Check for cover image (cover.png or first image in images array)
-  if (fs.existsSync(metadataPath)) {
-    try {
-      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
-      const hasCoverPng = fs.existsSync(path.join(fullPath, "cover.png"));
-      const hasImagesArray = metadata.images && metadata.images.length > 0;
-
-      if (!hasCoverPng && !hasImagesArray) {
-        warnings.push("No cover image found. Add cover.png or images to the images/ folder.");
-      }
-    } catch (e) {
-      // Already reported JSON error above
-    }
+  // Each theme's rule levels come from the config files that apply to it
+  for (const theme of themes) {
+    theme.findings = applyRuleSettings(theme.findings, theme.rules);
+    theme.summary = summarize(theme.findings, theme.dir);
   }
 
-  // Print results
-  if (errors.length === 0 && warnings.length === 0) {
-    console.log(pc.green("  All checks passed!"));
+  // One combined report, with each file relative to the root
+  const combined = summarize(
+    themes.flatMap((theme) =>
+      theme.findings.map((finding) => ({ ...finding, file: path.posix.join(theme.name, finding.file) }))
+    ),
+    rootPath
+  );
+  const reportRoot = path.relative(process.cwd(), rootPath);
+
+  if (format === "json") {
+    console.log(
+      JSON.stringify(
+        {
+          path: rootPath,
+          valid: combined.valid,
+          errorCount: combined.errorCount,
+          warningCount: combined.warningCount,
+          themes: themes.map(({ name, metadata, summary }) => ({
+            name,
+            id: metadata?.id ?? null,
+            version: metadata?.version ?? null,
+            ...summary,
+          })),
+        },
+        null,
+        2
+      )
+    );
+  } else if (format === "sarif") {
+    console.log(formatSarif(combined, { version: pkg.version, root: reportRoot }));
   } else {
-    if (errors.length > 0) {
-      console.log(pc.red(pc.bold("  Errors:")));
-      errors.forEach((e) => console.log(pc.red(`    - ${e}`)));
+    printThemeTable(themes);
+
+    for (const theme of themes.filter((t) => t.findings.length > 0)) {
+      console.log(pc.bold(`  ${theme.name}`));
+      printFindingGroups(theme.findings, "    ", (file) => readThemeFile(theme.dir, file));
     }
-    if (warnings.length > 0) {
-      console.log(pc.yellow(pc.bold("\n  Warnings:")));
-      console.log(pc.yellow("  Non-standard aspect ratios (recommended: 16:9)"));
-      warnings.forEach((w) => console.log(pc.yellow(`    - ${w}`)));
+
+    const invalid = themes.filter((t) => !t.summary.valid).length;
+    console.log(
+      invalid === 0
+        ? pc.green(`  All ${themes.length} themes are valid.`)
+        : pc.red(`  ${invalid} of ${themes.length} themes have errors.`)
+    );
+    console.log();
+
+    if (ci && combined.findings.length > 0) {
+      console.log(formatGitHubAnnotations(combined, { root: reportRoot }));
       console.log();
-      console.log(pc.dim(pc.yellow("  This is just a suggestion - your images will still work fine!")));
-      console.log(pc.dim(pc.yellow("  Different aspect ratios can be intentional for your theme's design.")));
     }
   }
 
+  if (!combined.valid) {
+    process.exit(1);
+  }
+}
+
+// Per-theme summary table for `validate --all`
+function printThemeTable(themes) {
+  const header = ["Theme", "ID", "Version", "Errors", "Warnings", "Status"];
+  const rows = themes.map(({ name, metadata, summary }) => [
+    name,
+    String(metadata?.id ?? "-"),
+    String(metadata?.version ?? "-"),
+    String(summary.errorCount),
+    String(summary.warningCount),
+    summary.valid ? "valid" : "invalid",
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+
+  console.log(pc.bold(`  ${line(header).trimEnd()}`));
+  for (const row of rows) {
+    const status = row[5] === "valid" ? pc.green(row[5]) : pc.red(row[5]);
+    console.log(`  ${line(row.slice(0, 5))}  ${status}`);
+  }
   console.log();
+}
 
-  // Prompt to install GitHub App if validation passed
-  if (errors.length === 0) {
-    await promptGitHubAppInstall();
+// Describe the fixes `validate --fix` applied, or with --dry-run show them as a diff
+function printFixes(fixes, { dryRun, log }) {
+  if (fixes.length === 0) {
+    log(pc.dim("  Nothing to fix.\n"));
+    return;
   }
 
-  // Cleanup temp directory if we cloned from GitHub
-  if (tempDir) {
-    try {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    } catch (e) {
-      // Ignore cleanup errors
+  log(pc.bold(dryRun ? "  Fixes that would be applied:" : "  Applied fixes:"));
+  for (const fix of fixes) {
+    for (const description of fix.descriptions) {
+      log(pc.green(`    - ${pc.bold(fix.file)}: ${description}`));
     }
   }
+  log();
 
-  if (errors.length > 0) {
-    process.exit(1);
+  if (dryRun) {
+    for (const fix of fixes) {
+      const diff = unifiedDiff(fix.before, fix.after, {
+        fromFile: `a/${fix.file}`,
+        toFile: `b/${fix.file}`,
+      });
+      for (const line of diff.split("\n")) {
+        if (line.startsWith("@@")) log(pc.cyan(line));
+        else if (line.startsWith("+")) log(pc.green(line));
+        else if (line.startsWith("-")) log(pc.red(line));
+        else log(line);
+      }
+      log();
+    }
+    log(pc.dim("  Dry run - no files were changed. The report below is for the theme as it is.\n"));
   }
 }
 
-async function publish(dir) {
-  const fullPath = path.resolve(process.cwd(), dir);
-
-  console.log(pc.dim(`Checking theme for publishing...\n`));
+// Render a finding for the text report, ending with its rule id for config files and suppressions
+function formatFinding(finding) {
+  const location = finding.line
+    ? ` (line ${finding.line}, column ${finding.column})`
+    : "";
+  const hint = finding.hint ? `\n      ${pc.dim(finding.hint)}` : "";
+  return `${pc.bold(finding.file)}: ${finding.message}${location} ${pc.dim(`[${finding.ruleId}]`)}${hint}`;
+}
 
-  // Check directory exists
-  if (!fs.existsSync(fullPath)) {
-    console.log(pc.red(`Error: Directory "${dir}" does not exist.`));
-    process.exit(1);
+// Findings grouped by rule category, errors first, each group with why it matters.
+// RICS errors and warnings get a code frame when `readSource(file)` has the file.
+function printFindingGroups(findings, indent, readSource) {
+  for (const [category, { title, explanation }] of Object.entries(RULE_CATEGORIES)) {
+    const group = findings.filter((finding) => ruleCategory(finding.ruleId) === category);
+    if (group.length === 0) continue;
+
+    const groupErrors = group.filter((finding) => finding.severity === "error");
+    const groupWarnings = group.filter((finding) => finding.severity !== "error");
+    const counts = [
+      groupErrors.length > 0 && pc.red(plural(groupErrors.length, "error")),
+      groupWarnings.length > 0 && pc.yellow(plural(groupWarnings.length, "warning")),
+    ].filter(Boolean);
+    console.log(`${indent}${pc.bold(title)} ${pc.dim("-")} ${counts.join(pc.dim(", "))}`);
+    for (const finding of [...groupErrors, ...groupWarnings]) {
+      const isError = finding.severity === "error";
+      const color = isError ? pc.red : pc.yellow;
+      console.log(color(`${indent}  ${isError ? "✗" : "⚠"} ${formatFinding(finding)}`));
+
+      const source = FRAMED_RULES.includes(finding.ruleId) && finding.line ? readSource(finding.file) : null;
+      if (source) {
+        printCodeFrame(source, findingLocation(finding), color, `${indent}    `);
+      }
+    }
+    console.log(pc.dim(`${indent}  ${explanation}`));
+    console.log();
   }
+}
 
-  // 1. Validate theme first (simple check, not full validation)
-  const metadataPath = path.join(fullPath, "metadata.json");
-  if (!fs.existsSync(metadataPath)) {
-    console.log(pc.red("Error: metadata.json not found."));
-    console.log(pc.dim("Run validation first: create-bl-theme validate"));
-    process.exit(1);
-  }
+// RICS compiler diagnostics point at exact source, so they're shown in context
+const FRAMED_RULES = ["rics-syntax", "rics-warning"];
 
-  let metadata;
-  try {
-    metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
-  } catch (e) {
-    console.log(pc.red(`Error: Invalid metadata.json - ${e.message}`));
-    process.exit(1);
-  }
+// The start/end of a finding, in the shape RICS diagnostics use
+function findingLocation({ line, column, endLine, endColumn }) {
+  return {
+    start: { line, column },
+    end: endLine ? { line: endLine, column: endColumn } : undefined,
+  };
+}
 
-  // 2. Check git repo
-  if (!checkIsGitRepo(fullPath)) {
-    console.log(pc.red("Not a git repository. Initialize git first:"));
-    console.log(pc.dim("  git init"));
-    console.log(pc.dim("  git remote add origin https://github.com/username/theme-name.git"));
-    process.exit(1);
-  }
+// Print the source around a location with a caret under it, then a blank line
+function printCodeFrame(source, location, color, indent) {
+  const frame = codeFrame(source, location, { colors: { gutter: pc.dim, marker: color } });
+  if (frame.length === 0) return;
+  frame.forEach((line) => console.log(`${indent}${line}`));
+  console.log();
+}
 
-  // 3. Get remote info
-  const remote = getGitRemote(fullPath);
-  if (!remote) {
-    console.log(pc.red("No git remote found. Add a remote:"));
-    console.log(pc.dim("  git remote add origin https://github.com/username/theme-name.git"));
-    process.exit(1);
-  }
+// A file in a theme directory, or null when it doesn't exist
+function readThemeFile(themeDir, file) {
+  const filePath = path.join(themeDir, file);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+}
 
-  // 4. Parse repo from remote
-  const repoMatch = remote.match(/github\.com[:/](.+?)(?:\.git)?$/);
-  if (!repoMatch) {
-    console.log(pc.red("Could not parse GitHub repo from remote:"), remote);
-    process.exit(1);
-  }
-  const repo = repoMatch[1].replace(/\.git$/, "");
+// "1 error", "2 warnings"
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+async function publish(dir, flags = {}) {
+  console.log(pc.dim(`Checking theme for publishing...\n`));
 
-  // 5. Display theme info
+  // Reads metadata.json, the GitHub remote and the registry; each failure comes with a hint
+  const status = await getPublishStatus(dir, { registry: flags.registry, offline: flags.offline });
+  const { metadata, repo, registry } = status;
+
+  // Display theme info
   console.log(pc.bold("Theme Info:"));
-  console.log(`  ID:      ${metadata.id}`);
-  console.log(`  Title:   ${metadata.title}`);
-  console.log(`  Version: ${metadata.version}`);
-  console.log(`  Repo:    ${repo}`);
+  console.log(`  ID:       ${metadata.id}`);
+  console.log(`  Title:    ${metadata.title}`);
+  console.log(`  Version:  ${metadata.version}`);
+  console.log(`  Repo:     ${repo}`);
+  console.log(`  Registry: ${registry.source}`);
   console.log();
 
-  // 6. Check if registered
-  const isRegistered = await checkThemeRegistered(repo);
+  if (registry.origin === "cache") {
+    console.log(pc.yellow(`Using the cached registry from ${registry.fetchedAt}`));
+    console.log(pc.dim(`  (${registry.reason})`));
+    console.log(pc.dim("  Registry status below may be out of date."));
+    console.log();
+  }
 
-  if (!isRegistered) {
+  if (flags["dry-run"]) {
+    publishDryRun(status);
+    return;
+  }
+
+  // Check if registered
+  if (!status.registered) {
     console.log(pc.yellow("Theme is not registered in the theme store."));
     console.log();
     console.log(pc.bold("To register your theme:"));
@@ -819,7 +1186,7 @@ async function publish(dir) {
     process.exit(0);
   }
 
-  // 7. Theme is registered
+  // Theme is registered
   console.log(pc.green("Theme is registered in the theme store."));
   console.log();
   console.log(pc.bold("To publish updates:"));
@@ -833,116 +1200,394 @@ async function publish(dir) {
   console.log("  - Vendor your theme files");
   console.log();
 
-  // 8. Check current lockfile status
-  const lockStatus = await checkLockStatus(repo);
+  // Check current lockfile status
+  const lockStatus = status.locked;
   if (lockStatus) {
     console.log(pc.bold("Current Registry Status:"));
     console.log(`  Locked Version: ${lockStatus.version}`);
     console.log(`  Locked At:      ${lockStatus.locked}`);
     console.log(`  Commit:         ${lockStatus.commit.slice(0, 7)}`);
-
-    if (metadata.version === lockStatus.version) {
-      console.log();
-      console.log(pc.yellow("Your local version matches the registry."));
-      console.log("Bump the version in metadata.json to publish an update.");
-    } else {
-      // Compare versions
-      const localParts = metadata.version.split(".").map(Number);
-      const remoteParts = lockStatus.version.split(".").map(Number);
-      let isGreater = false;
-
-      for (let i = 0; i < 3; i++) {
-        if (localParts[i] > remoteParts[i]) {
-          isGreater = true;
-          break;
-        } else if (localParts[i] < remoteParts[i]) {
-          break;
-        }
-      }
-
-      if (isGreater) {
-        console.log();
-        console.log(pc.green(`Ready to publish: ${lockStatus.version} -> ${metadata.version}`));
-        console.log("Push to your repo to trigger an update.");
-      } else {
-        console.log();
-        console.log(pc.red(`Version ${metadata.version} is not greater than ${lockStatus.version}`));
-        console.log("Versions must increase. Update metadata.json with a higher version.");
-      }
-    }
+    console.log();
+    printVersionVerdict(status.version);
   }
 
   // Prompt to install GitHub App for auto-updates
   await promptGitHubAppInstall();
 }
 
-function checkIsGitRepo(themePath) {
-  try {
-    execSync("git rev-parse --git-dir", { cwd: themePath, stdio: "ignore" });
-    return true;
-  } catch {
-    return false;
+// Simulate the checks the registry runs when it picks up a push, and show the
+// lock entry it would write, without pushing anything
+function publishDryRun(status) {
+  const { passed, checks, lockEntry } = simulatePublish(status);
+
+  console.log(pc.bold("Dry Run:"));
+  for (const { ok, label, details, findings } of checks) {
+    console.log(ok ? pc.green(`  ✓ ${label}`) : pc.red(`  ✗ ${label}`));
+    (findings ? findings.map(formatFinding) : details).forEach((detail) => console.log(pc.dim(`      ${detail}`)));
+  }
+
+  console.log();
+  console.log(pc.bold("Lock entry that would be produced:"));
+  console.log(
+    JSON.stringify(lockEntry, null, 2)
+      .split("\n")
+      .map((line) => `  ${line}`)
+      .join("\n")
+  );
+  console.log();
+
+  if (passed) {
+    console.log(pc.green("Dry run passed. Pushing now would publish this version."));
+    console.log();
+    return;
   }
+  console.log(pc.red("The registry would reject this update. Fix the problems above, then try again."));
+  console.log();
+  process.exit(1);
 }
 
-function getGitRemote(themePath) {
-  try {
-    return execSync("git remote get-url origin", { cwd: themePath, encoding: "utf8" }).trim();
-  } catch {
-    return null;
+// Explain how the local version compares with the one the registry has locked
+function printVersionVerdict({ status, local: localVersion, locked: lockedVersion, suggestedVersion }) {
+  if (status === "invalid") {
+    console.log(pc.red(`Version ${localVersion} is not valid semver.`));
+    console.log("Fix it with: create-bl-theme validate --fix");
+  } else if (status === "locked-invalid") {
+    console.log(pc.yellow(`The registry's locked version ${lockedVersion} is not valid semver, so it can't be compared.`));
+  } else if (status === "ahead") {
+    console.log(pc.green(`Ready to publish: ${lockedVersion} -> ${localVersion}`));
+    console.log("Push to your repo to trigger an update.");
+  } else if (status === "same") {
+    console.log(pc.yellow("Your local version matches the registry."));
+    if (localVersion !== lockedVersion) {
+      console.log(pc.dim(`(${localVersion} and ${lockedVersion} differ only in build metadata, which doesn't count.)`));
+    }
+    console.log("Bump the version in metadata.json to publish an update.");
+  } else if (status === "prerelease-of-locked") {
+    const prerelease = parseVersion(localVersion).prerelease;
+    const preid = typeof prerelease[0] === "string" ? ` --preid ${prerelease[0]}` : "";
+    console.log(pc.red(`Version ${localVersion} is a prerelease of ${lockedVersion}, which is already published.`));
+    console.log(
+      `Prereleases come before their release. Publish ${suggestedVersion} ` +
+        `or a prerelease of it instead (create-bl-theme bump prepatch${preid}).`
+    );
+  } else if (status === "behind") {
+    console.log(pc.red(`Version ${localVersion} is not greater than ${lockedVersion}`));
+    console.log("Versions must increase. Update metadata.json with a higher version.");
   }
 }
 
-async function checkThemeRegistered(repo) {
-  try {
-    const response = await fetch(
-      "https://raw.githubusercontent.com/better-lyrics/themes/master/index.json"
+// "style.rics: message (line X, column Y)" for a RICS error or warning
+function formatDiagnostic(file, diagnostic) {
+  const message = diagnostic.message || String(diagnostic);
+  const location = diagnostic.start
+    ? ` (line ${diagnostic.start.line}, column ${diagnostic.start.column})`
+    : "";
+  return `${file}: ${message}${location}`;
+}
+
+// List RICS errors or warnings, each followed by a code frame when it has a location
+function printDiagnostics({ file, source }, diagnostics, color) {
+  for (const diagnostic of diagnostics) {
+    console.log(color(`    - ${formatDiagnostic(file, diagnostic)}`));
+    if (diagnostic.start) {
+      printCodeFrame(source, diagnostic, color, "      ");
+    }
+  }
+}
+
+async function build(dir, flags = {}) {
+  const fullPath = path.resolve(process.cwd(), dir);
+
+  if (!fs.existsSync(fullPath)) {
+    console.log(pc.red(`Error: Directory "${dir}" does not exist.`));
+    process.exit(1);
+  }
+
+  const ricsPath = path.join(fullPath, "style.rics");
+  if (!fs.existsSync(ricsPath)) {
+    console.log(pc.red("Error: style.rics not found."));
+    console.log(pc.dim("Themes written in plain style.css don't need a build step."));
+    process.exit(1);
+  }
+
+  const outPath = flags.out
+    ? path.resolve(process.cwd(), flags.out)
+    : path.join(fullPath, "style.css");
+  const mapPath = `${outPath}.map`;
+
+  console.log(pc.dim(`Compiling ${ricsPath}...\n`));
+
+  const result = compileStylesheet(fullPath);
+  const source = result.source;
+
+  if (result.errors.length > 0) {
+    console.log(pc.red(pc.bold("  Errors:")));
+    printDiagnostics(result, result.errors, pc.red);
+    console.log();
+    process.exit(1);
+  }
+
+  if (result.warnings.length > 0) {
+    console.log(pc.yellow(pc.bold("  Warnings:")));
+    printDiagnostics(result, result.warnings, pc.yellow);
+    console.log();
+  }
+
+  let css = result.css;
+  let segments = [];
+  const lineMap = flags.sourcemap ? mapOutputLines(css, source) : [];
+
+  if (flags.minify) {
+    const minified = minifyCss(css);
+    css = minified.code;
+    segments = minified.positions
+      .filter((position) => lineMap[position.line])
+      .map((position) => ({
+        generatedLine: 0,
+        generatedColumn: position.column,
+        sourceLine: lineMap[position.line].line,
+        sourceColumn: lineMap[position.line].column,
+      }));
+  } else {
+    const cssLines = css.split("\n");
+    segments = lineMap.flatMap((location, index) =>
+      location
+        ? [
+            {
+              generatedLine: index,
+              generatedColumn: Math.max(cssLines[index].search(/\S/), 0),
+              sourceLine: location.line,
+              sourceColumn: location.column,
+            },
+          ]
+        : []
     );
-    if (!response.ok) {
-      console.log(pc.dim(`  (Could not fetch registry: ${response.status})`));
-      return false;
+  }
+
+  if (!css.endsWith("\n")) {
+    css += "\n";
+  }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  if (flags.sourcemap) {
+    const map = createSourceMap({
+      file: path.basename(outPath),
+      sourcePath: path.relative(path.dirname(outPath), ricsPath).split(path.sep).join("/"),
+      sourceContent: source,
+      segments,
+    });
+    fs.writeFileSync(mapPath, JSON.stringify(map) + "\n");
+    css += `/*# sourceMappingURL=${path.basename(mapPath)} */\n`;
+  }
+
+  fs.writeFileSync(outPath, css);
+
+  const size = (Buffer.byteLength(css) / 1024).toFixed(1);
+  console.log(pc.green(`  Built ${path.relative(process.cwd(), outPath)} (${size} KB)`));
+  if (flags.sourcemap) {
+    console.log(pc.dim(`  Source map: ${path.relative(process.cwd(), mapPath)}`));
+  }
+  console.log();
+}
+
+async function dev(dir, flags = {}) {
+  const fullPath = path.resolve(process.cwd(), dir);
+
+  if (!fs.existsSync(fullPath)) {
+    console.log(pc.red(`Error: Directory "${dir}" does not exist.`));
+    process.exit(1);
+  }
+
+  const port = Number(flags.port ?? DEFAULT_DEV_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.log(pc.red(`Error: Invalid port "${flags.port}".`));
+    process.exit(1);
+  }
+  const host = flags.host ?? "127.0.0.1";
+
+  // Last good CSS keeps being served while the stylesheet has errors
+  const state = {
+    css: "",
+    revision: 0,
+    updatedAt: null,
+    errors: [],
+    warnings: [],
+  };
+
+  const rebuild = (changedFile) => {
+    const time = pc.dim(`[${new Date().toLocaleTimeString()}]`);
+    const errors = [];
+    const warnings = [];
+
+    const result = compileStylesheet(fullPath);
+    if (!result) {
+      errors.push("Missing required file: style.rics or style.css");
+    } else {
+      result.errors.forEach((err) => errors.push(formatDiagnostic(result.file, err)));
+      result.warnings.forEach((warn) => warnings.push(formatDiagnostic(result.file, warn)));
+      if (result.errors.length === 0) {
+        state.css = result.css;
+      }
     }
-    const index = await response.json();
-    return index.themes?.some((t) => t.repo === repo) ?? false;
-  } catch (e) {
-    console.log(pc.dim(`  (Could not fetch registry: ${e.message})`));
-    return false;
+
+    for (const file of ["metadata.json", "shader.json"]) {
+      const filePath = path.join(fullPath, file);
+      if (!fs.existsSync(filePath)) continue;
+      try {
+        JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      } catch (e) {
+        errors.push(`${file}: invalid JSON - ${e.message}`);
+      }
+    }
+
+    state.revision++;
+    state.updatedAt = new Date().toISOString();
+    state.errors = errors;
+    state.warnings = warnings;
+
+    const label = changedFile ? `${pc.cyan(changedFile)} changed` : "Initial build";
+    if (errors.length > 0) {
+      console.log(`${time} ${label} ${pc.red(`- ${errors.length} error(s)`)}`);
+      errors.forEach((e) => console.log(pc.red(`    - ${e}`)));
+    } else {
+      const size = (Buffer.byteLength(state.css) / 1024).toFixed(1);
+      console.log(`${time} ${label} ${pc.green(`- compiled (${size} KB)`)}`);
+    }
+    warnings.forEach((w) => console.log(pc.yellow(`    - ${w}`)));
+
+    themeServer.broadcast(errors.length > 0 ? "error" : "reload", {
+      revision: state.revision,
+      file: changedFile ?? null,
+      errors,
+      warnings,
+    });
+  };
+
+  const themeServer = createThemeServer({
+    root: fullPath,
+    getState: () => state,
+    routes: {
+      "/": () => ({
+        type: "text/html; charset=utf-8",
+        body: renderPreviewHtml({
+          title: readThemeTitle(fullPath),
+          css: state.css,
+          liveReload: true,
+        }),
+      }),
+    },
+  });
+
+  themeServer.server.on("error", (e) => {
+    if (e.code === "EADDRINUSE") {
+      console.log(pc.red(`Error: Port ${port} is already in use. Try --port <number>.`));
+    } else {
+      console.log(pc.red(`Error: ${e.message}`));
+    }
+    process.exit(1);
+  });
+
+  await new Promise((resolve) => themeServer.server.listen(port, host, resolve));
+  const url = `http://${host}:${themeServer.server.address().port}`;
+
+  console.log(pc.bold("  Dev server running:"));
+  console.log(`  ${pc.dim("Preview:")}      ${pc.cyan(`${url}/`)}`);
+  console.log(`  ${pc.dim("Compiled CSS:")} ${pc.cyan(`${url}/style.css`)}`);
+  console.log(`  ${pc.dim("Status:")}       ${pc.cyan(`${url}/__status`)}`);
+  console.log(`  ${pc.dim("Live reload:")}  ${pc.cyan(`${url}/__events`)}`);
+  console.log();
+  console.log(pc.dim(`  Watching ${DEV_WATCHED_FILES.join(", ")} - press Ctrl+C to stop`));
+  console.log();
+
+  rebuild(null);
+
+  if (flags.open) {
+    openBrowser(`${url}/`).catch(() => {
+      console.log(pc.yellow("  Could not open browser automatically."));
+    });
   }
+
+  // Editors often write a file several times in a row; coalesce those into one rebuild
+  let pending = null;
+  const watcher = fs.watch(fullPath, (eventType, filename) => {
+    if (!filename || !DEV_WATCHED_FILES.includes(filename)) return;
+    clearTimeout(pending);
+    pending = setTimeout(() => rebuild(filename), 100);
+  });
+
+  process.on("SIGINT", () => {
+    watcher.close();
+    themeServer.close();
+    console.log(pc.dim("\n  Dev server stopped."));
+    process.exit(0);
+  });
 }
 
-async function checkLockStatus(repo) {
+// Title from metadata.json, falling back to the directory name
+function readThemeTitle(fullPath) {
   try {
-    const response = await fetch(
-      "https://raw.githubusercontent.com/better-lyrics/themes/master/index.lock.json"
-    );
-    const lock = await response.json();
-    return lock.themes?.find((t) => t.repo === repo) ?? null;
+    const metadata = JSON.parse(fs.readFileSync(path.join(fullPath, "metadata.json"), "utf-8"));
+    if (metadata.title) return metadata.title;
   } catch {
-    return null;
+    // Missing or invalid metadata.json is reported by validate
   }
+  return path.basename(fullPath);
 }
 
-async function bump(typeOrDir, dirArg) {
-  // Handle flexible argument order: bump [type] [dir] or bump [dir]
-  let type = "patch";
-  let dir = ".";
+async function preview(dir, flags = {}) {
+  if (flags.serve) {
+    await dev(dir, flags);
+    return;
+  }
 
-  const validTypes = ["patch", "minor", "major"];
+  const fullPath = path.resolve(process.cwd(), dir);
 
-  if (typeOrDir) {
-    if (validTypes.includes(typeOrDir)) {
-      type = typeOrDir;
-      dir = dirArg || ".";
-    } else {
-      // Assume it's a directory
-      dir = typeOrDir;
+  if (!fs.existsSync(fullPath)) {
+    console.log(pc.red(`Error: Directory "${dir}" does not exist.`));
+    process.exit(1);
+  }
+
+  const result = compileStylesheet(fullPath);
+  if (!result) {
+    console.log(pc.red("Error: Missing required file: style.rics or style.css"));
+    process.exit(1);
+  }
+
+  if (result.errors.length > 0) {
+    console.log(pc.red(pc.bold("  Errors:")));
+    printDiagnostics(result, result.errors, pc.red);
+    console.log();
+    process.exit(1);
+  }
+
+  const outPath = flags.out
+    ? path.resolve(process.cwd(), flags.out)
+    : path.join(fullPath, "preview.html");
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(
+    outPath,
+    renderPreviewHtml({ title: readThemeTitle(fullPath), css: result.css })
+  );
+
+  console.log(pc.green(`  Preview written to ${path.relative(process.cwd(), outPath)}`));
+  console.log(pc.dim("  Open it in any browser - it has no external dependencies."));
+  console.log();
+
+  if (flags.open) {
+    try {
+      await openBrowser(pathToFileURL(outPath).href);
+    } catch {
+      console.log(pc.yellow("  Could not open browser automatically."));
     }
   }
+}
 
+async function pack(dir, flags = {}) {
   const fullPath = path.resolve(process.cwd(), dir);
   const metadataPath = path.join(fullPath, "metadata.json");
 
-  // Check metadata.json exists
   if (!fs.existsSync(metadataPath)) {
     console.log(pc.red("Error: metadata.json not found."));
     process.exit(1);
@@ -956,57 +1601,270 @@ async function bump(typeOrDir, dirArg) {
     process.exit(1);
   }
 
-  const currentVersion = metadata.version;
-  if (!currentVersion) {
-    console.log(pc.red("Error: No version field in metadata.json"));
+  const format = flags.format ?? (flags.out && detectArchiveFormat(flags.out)) ?? "zip";
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    console.log(pc.red(`Error: Unknown archive format "${format}". Use one of: ${ARCHIVE_FORMATS.join(", ")}`));
+    process.exit(1);
+  }
+
+  const baseName = `${metadata.id || path.basename(fullPath)}-${metadata.version || "0.0.0"}`;
+  const outPath = flags.out
+    ? path.resolve(process.cwd(), flags.out)
+    : path.resolve(process.cwd(), `${baseName}.${format}`);
+  // Named after the whole archive, so a zip and a tar.gz each keep their own manifest
+  const manifestPath = `${outPath}.manifest.json`;
+
+  const { files, missing } = collectThemeFiles(fullPath, metadata);
+  if (missing.length > 0) {
+    console.log(pc.red(pc.bold("  Errors:")));
+    missing.forEach((file) => console.log(pc.red(`    - ${file}: listed in metadata.json but not found`)));
+    console.log();
+    console.log(pc.dim("  Run validate for details: create-bl-theme validate"));
+    process.exit(1);
+  }
+
+  const entries = files.map((file) => ({
+    name: file,
+    data: fs.readFileSync(path.join(fullPath, ...file.split("/"))),
+  }));
+  const archive = createArchive(entries, format);
+
+  const manifest = {
+    id: metadata.id,
+    version: metadata.version,
+    archive: {
+      file: path.basename(outPath),
+      format,
+      size: archive.length,
+      sha256: sha256(archive),
+    },
+    files: entries.map(({ name, data }) => ({ path: name, size: data.length, sha256: sha256(data) })),
+  };
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, archive);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+
+  console.log(pc.bold("  Packed files:"));
+  for (const { path: file, size } of manifest.files) {
+    console.log(`    ${file} ${pc.dim(`(${(size / 1024).toFixed(1)} KB)`)}`);
+  }
+  console.log();
+  console.log(pc.green(`  Wrote ${path.relative(process.cwd(), outPath)}`));
+  console.log(pc.dim(`  SHA-256: ${manifest.archive.sha256}`));
+  console.log(pc.dim(`  Manifest: ${path.relative(process.cwd(), manifestPath)}`));
+  console.log();
+}
+
+// bump [type|version] [dirs...], where each dir may also be a glob pattern
+async function bumpThemes(positionals, flags = {}) {
+  const [first, ...rest] = positionals;
+  const isSpec = first !== undefined && (BUMP_TYPES.includes(first) || parseVersion(first) !== null);
+  const dirs = resolveThemeDirs(isSpec ? rest : positionals);
+
+  // One release commit and v<version> tag per repository can't cover several themes
+  if (dirs.length > 1 && (flags.commit || flags.tag || flags.push)) {
+    console.log(pc.red("Error: --commit, --tag and --push only work when bumping a single theme."));
     process.exit(1);
   }
 
-  // Parse current version
-  const match = currentVersion.match(/^(\d+)\.(\d+)\.(\d+)(.*)$/);
-  if (!match) {
-    console.log(pc.red(`Error: Invalid version format "${currentVersion}"`));
+  await forEachTheme(dirs, (dir) => bump(isSpec ? first : undefined, dir, flags));
+}
+
+async function bump(spec = "patch", dir, flags = {}) {
+  // Tagging or pushing a release only makes sense on top of its commit
+  const shouldCommit = Boolean(flags.commit || flags.tag || flags.push);
+  const message = flags.message ?? DEFAULT_RELEASE_MESSAGE;
+  if (flags.message !== undefined && !shouldCommit) {
+    console.log(pc.red("Error: --message only applies together with --commit or --tag"));
     process.exit(1);
   }
 
-  let [, major, minor, patch, prerelease] = match;
-  major = parseInt(major, 10);
-  minor = parseInt(minor, 10);
-  patch = parseInt(patch, 10);
+  const plan = planBump(dir, spec, { preid: flags.preid });
+  const { path: fullPath, metadataPath, previousVersion: currentVersion, version: newVersion } = plan;
+  const tagName = `v${newVersion}`;
 
-  // Bump version
-  switch (type) {
-    case "major":
-      major++;
-      minor = 0;
-      patch = 0;
-      prerelease = "";
-      break;
-    case "minor":
-      minor++;
-      patch = 0;
-      prerelease = "";
-      break;
-    case "patch":
-    default:
-      patch++;
-      prerelease = "";
-      break;
+  // Keep an existing CHANGELOG.md up to date; --changelog starts one
+  const changelogPath = path.join(fullPath, "CHANGELOG.md");
+  const hasChangelog = fs.existsSync(changelogPath);
+  const isGitRepo = checkIsGitRepo(fullPath);
+  if (flags.changelog && !isGitRepo) {
+    console.log(pc.red("Error: --changelog builds the changelog from git history, but this is not a git repository."));
+    process.exit(1);
   }
+  const shouldWriteChangelog = isGitRepo && (flags.changelog || hasChangelog);
 
-  const newVersion = `${major}.${minor}.${patch}`;
-  metadata.version = newVersion;
+  // Check git before touching metadata.json, so a refused bump leaves nothing behind
+  if (shouldCommit) {
+    if (!isGitRepo) {
+      console.log(pc.red("Error: --commit, --tag and --push need the theme to be in a git repository."));
+      process.exit(1);
+    }
+    if (!isWorkingTreeClean(fullPath)) {
+      console.log(pc.red("Error: Working tree has uncommitted changes."));
+      console.log(pc.dim("  Commit or stash them first, so the release commit only contains the version bump."));
+      process.exit(1);
+    }
+    if (flags.tag && gitTagExists(fullPath, tagName)) {
+      console.log(pc.red(`Error: Tag ${tagName} already exists.`));
+      process.exit(1);
+    }
+  }
 
-  // Write back
-  fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2) + "\n");
+  applyBump(plan);
 
   console.log(pc.green(`  ${currentVersion} → ${newVersion}`));
   console.log();
   console.log(pc.dim(`  Updated ${metadataPath}`));
+
+  let changelogUpdated = false;
+  if (shouldWriteChangelog) {
+    const changelog = hasChangelog ? fs.readFileSync(changelogPath, "utf-8") : "";
+    if (hasChangelogEntry(changelog, newVersion)) {
+      console.log(pc.dim(`  CHANGELOG.md already has an entry for ${newVersion}`));
+    } else {
+      const currentTag = `v${currentVersion}`;
+      const sinceTag = gitTagExists(fullPath, currentTag) ? currentTag : getPreviousVersionTag(fullPath);
+      const isReleaseSubject = releaseSubjectPattern(message);
+      const subjects = getCommitSubjects(fullPath, sinceTag).filter((subject) => !isReleaseSubject.test(subject));
+      const section = renderChangelogSection(newVersion, subjects, new Date().toISOString().slice(0, 10));
+      fs.writeFileSync(changelogPath, prependChangelogSection(changelog, section));
+      changelogUpdated = true;
+      console.log(
+        pc.dim(
+          `  ${hasChangelog ? "Updated" : "Created"} ${changelogPath} ` +
+            `(${subjects.length} commit${subjects.length === 1 ? "" : "s"}${sinceTag ? ` since ${sinceTag}` : ""})`
+        )
+      );
+    }
+  }
+
+  if (shouldCommit) {
+    const releaseMessage = message.replaceAll("%s", newVersion);
+    let step = "commit";
+    try {
+      // Messages go through stdin so they never pass through the shell
+      execSync(`git add metadata.json${changelogUpdated ? " CHANGELOG.md" : ""}`, {
+        cwd: fullPath,
+        stdio: "pipe",
+      });
+      execSync("git commit -F -", { cwd: fullPath, input: releaseMessage, stdio: "pipe" });
+      console.log(pc.dim(`  Committed "${releaseMessage}"`));
+
+      if (flags.tag) {
+        step = "tag";
+        execSync(`git tag -a "${tagName}" -F -`, { cwd: fullPath, input: releaseMessage, stdio: "pipe" });
+        console.log(pc.dim(`  Tagged ${tagName}`));
+      }
+
+      if (flags.push) {
+        step = "push";
+        execSync("git push --follow-tags", { cwd: fullPath, stdio: "pipe" });
+        console.log(pc.dim(`  Pushed to ${getGitRemote(fullPath) ?? "the upstream remote"}`));
+      }
+    } catch (e) {
+      console.log();
+      console.log(pc.red(`Error: git ${step} failed.`));
+      const output = e.stderr?.toString().trim() || e.message;
+      if (output) {
+        console.log(pc.dim(`  ${output.split("\n").join("\n  ")}`));
+      }
+      process.exit(1);
+    }
+  }
   console.log();
 }
 
+// config [list] | get <key> | set <key> <value> | unset <key>
+function config([action = "list", key, value], flags = {}) {
+  const cwd = process.cwd();
+  const usage = pc.dim("Usage: create-bl-theme config list | get <key> | set <key> <value> | unset <key>");
+
+  if (action === "list") {
+    const files = loadConfigFiles(cwd);
+    const projectFile = files.find((file) => file.scope === "project");
+    console.log(pc.bold("Config files:"));
+    console.log(`  user:    ${files[0].path}${fs.existsSync(files[0].path) ? "" : pc.dim(" (not created yet)")}`);
+    console.log(`  project: ${projectFile ? projectFile.path : pc.dim(`none (${PROJECT_CONFIG_FILE} not found)`)}`);
+    console.log();
+
+    // Later files win, so the last one to set a key is where its value comes from
+    const settings = new Map();
+    for (const { scope, config: fileConfig } of files) {
+      for (const [name, setting] of Object.entries(fileConfig)) {
+        if (name === "rules") {
+          Object.entries(setting).forEach(([ruleId, level]) => settings.set(`rules.${ruleId}`, { value: level, scope }));
+        } else {
+          settings.set(name, { value: setting, scope });
+        }
+      }
+    }
+    if (settings.size === 0) {
+      console.log(pc.dim("No settings yet. Set one with: create-bl-theme config set creator <username>"));
+      return;
+    }
+
+    const width = Math.max(...[...settings.keys()].map((name) => name.length));
+    console.log(pc.bold("Settings:"));
+    for (const [name, { value: setting, scope }] of settings) {
+      console.log(`  ${pc.cyan(name.padEnd(width))}  ${formatConfigValue(setting)} ${pc.dim(`(${scope})`)}`);
+    }
+    return;
+  }
+
+  if (!["get", "set", "unset"].includes(action)) {
+    console.log(pc.red(`Error: Unknown config action "${action}"`));
+    console.log(usage);
+    process.exit(1);
+  }
+  if (!key || (action === "set" && value === undefined)) {
+    console.log(pc.red(`Error: config ${action} needs a ${action === "set" ? "key and a value" : "key"}`));
+    console.log(usage);
+    process.exit(1);
+  }
+  if (!(key in CONFIG_KEYS) && !key.startsWith("rules.")) {
+    console.log(pc.red(`Error: Unknown setting "${key}"`));
+    console.log(pc.dim(`Settings: ${Object.keys(CONFIG_KEYS).join(", ")}, rules.<rule-id>`));
+    process.exit(1);
+  }
+
+  if (action === "get") {
+    const setting = getConfigValue(loadConfig(cwd), key);
+    // Like git config, an unset key prints nothing and fails
+    if (setting === undefined) process.exit(1);
+    console.log(formatConfigValue(setting));
+    return;
+  }
+
+  // --project changes the nearest bl-theme.config.json, or starts one here
+  const target = flags.project ? findProjectConfig(cwd) ?? path.join(cwd, PROJECT_CONFIG_FILE) : userConfigPath();
+  if (action === "set") {
+    const setting = parseConfigValue(key, value);
+    const tagsResult = key === "tags" ? validateTags(setting) : true;
+    if (tagsResult !== true) {
+      console.log(pc.red(`Error: ${tagsResult}`));
+      process.exit(1);
+    }
+    writeConfigValue(target, key, setting);
+    console.log(pc.green(`Set ${key} in ${target}`));
+  } else {
+    writeConfigValue(target, key, undefined);
+    console.log(pc.green(`Removed ${key} from ${target}`));
+  }
+}
+
+// Settings as `config set` takes them: tags comma-separated, rule levels as JSON
+function formatConfigValue(setting) {
+  if (Array.isArray(setting)) return setting.join(",");
+  if (typeof setting === "object") return JSON.stringify(setting);
+  return setting;
+}
+
 main().catch((err) => {
-  console.error(pc.red(err.message));
+  if (err instanceof ThemeError) {
+    printThemeError(err, console.error);
+  } else {
+    console.error(pc.red(err.message));
+  }
   process.exit(1);
 });
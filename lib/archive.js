@@ -0,0 +1,304 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+
+// Deterministic .zip and .tar.gz writers (and readers) for `pack`.
+// Entries are sorted, timestamps fixed and permissions normalized, so packing
+// the same files always produces byte-identical archives.
+
+export const ARCHIVE_FORMATS = ["zip", "tar.gz"];
+
+const ZIP_DOS_TIME = 0;
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01, the earliest DOS date
+const FILE_MODE = 0o100644;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// "theme.tar.gz" -> "tar.gz", "theme.tgz" -> "tar.gz", "theme.zip" -> "zip"
+export function detectArchiveFormat(filename) {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith(".zip")) return "zip";
+  if (lower.endsWith(".tar.gz") || lower.endsWith(".tgz")) return "tar.gz";
+  return null;
+}
+
+export function createArchive(entries, format) {
+  const sorted = [...entries].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  return format === "zip" ? createZip(sorted) : createTarGz(sorted);
+}
+
+export function readArchive(buffer, format) {
+  return format === "zip" ? readZip(buffer) : readTarGz(buffer);
+}
+
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuffer = Buffer.from(name, "utf-8");
+    const deflated = zlib.deflateRawSync(data, { level: 9 });
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(ZIP_DOS_TIME, 10);
+    local.writeUInt16LE(ZIP_DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made by: unix, so the mode below applies
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(ZIP_DOS_TIME, 12);
+    central.writeUInt16LE(ZIP_DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE((FILE_MODE << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, body);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function readZip(buffer) {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("not a zip archive (end of central directory not found)");
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error("corrupt zip central directory");
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString("utf-8", pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: Buffer.from(body) });
+    } else if (method === 8) {
+      entries.push({ name, data: zlib.inflateRawSync(body) });
+    } else {
+      throw new Error(`unsupported zip compression method ${method} for "${name}"`);
+    }
+  }
+
+  return entries;
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, "0") + "\0", offset, length, "ascii");
+}
+
+// Split a path into ustar's 155-byte prefix and 100-byte name fields, or null
+// when it can't fit them. Limits are in bytes, so the split is measured in bytes.
+function splitUstarName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: "", name };
+  for (let i = name.indexOf("/"); i !== -1; i = name.indexOf("/", i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) > 155) break;
+    if (rest && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  return null;
+}
+
+// A PAX extended header record: "<length> <key>=<value>\n", where the length
+// counts every byte of the record including its own digits
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let digits = String(bodyLength).length;
+  while (String(bodyLength + digits).length !== digits) digits++;
+  return `${bodyLength + digits}${body}`;
+}
+
+function tarHeader({ name, prefix = "", size, type = "0" }) {
+  const header = Buffer.alloc(512);
+  // Buffer#write never writes part of a character, so these can't garble a name
+  header.write(name, 0, 100, "utf-8");
+  writeOctal(header, FILE_MODE & 0o7777, 100, 8);
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, 0, 136, 12); // mtime
+  header.write("        ", 148, 8, "ascii"); // checksum placeholder
+  header.write(type, 156, 1, "ascii");
+  header.write("ustar\0", 257, 6, "ascii");
+  header.write("00", 263, 2, "ascii");
+  header.write(prefix, 345, 155, "utf-8");
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii");
+  return header;
+}
+
+function pushTarEntry(blocks, header, data) {
+  blocks.push(header, data);
+  const padding = (512 - (data.length % 512)) % 512;
+  if (padding > 0) blocks.push(Buffer.alloc(padding));
+}
+
+function createTarGz(entries) {
+  const blocks = [];
+
+  for (const { name, data } of entries) {
+    const split = splitUstarName(name);
+    if (split) {
+      pushTarEntry(blocks, tarHeader({ ...split, size: data.length }), data);
+      continue;
+    }
+
+    // Too long for ustar: the full path goes in a PAX header before the entry,
+    // and the entry itself keeps as much of the file name as fits
+    const pax = Buffer.from(paxRecord("path", name), "utf-8");
+    pushTarEntry(blocks, tarHeader({ name: "././@PaxHeader", size: pax.length, type: "x" }), pax);
+    pushTarEntry(blocks, tarHeader({ name: path.posix.basename(name), size: data.length }), data);
+  }
+
+  blocks.push(Buffer.alloc(1024));
+  const gzipped = zlib.gzipSync(Buffer.concat(blocks), { level: 9 });
+  gzipped[9] = 0xff; // OS "unknown", so output doesn't depend on the packing machine
+  return gzipped;
+}
+
+function readString(buffer, offset, length) {
+  const raw = buffer.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.toString("utf-8", 0, end === -1 ? raw.length : end);
+}
+
+// The records of a PAX extended header, as { key: value }
+function parsePaxRecords(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString("ascii", offset, space), 10);
+    if (space === -1 || !(length > 0)) break;
+    const record = data.toString("utf-8", space + 1, offset + length - 1);
+    const equals = record.indexOf("=");
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const entries = [];
+  let offset = 0;
+  // A PAX header's path applies to the entry after it
+  let paxPath = null;
+
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break;
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(header[156] || 48);
+    offset += 512;
+
+    if (type === "x") {
+      paxPath = parsePaxRecords(tar.subarray(offset, offset + size)).path ?? null;
+    } else if (type === "0") {
+      entries.push({
+        name: paxPath ?? (prefix ? `${prefix}/${name}` : name),
+        data: Buffer.from(tar.subarray(offset, offset + size)),
+      });
+      paxPath = null;
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+
+  return entries;
+}
+
+// Extract a packed theme into a temp directory, refusing paths that escape it.
+// The directory is removed again if anything goes wrong.
+export function extractArchive(archivePath, format) {
+  const entries = readArchive(fs.readFileSync(archivePath), format);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "bl-theme-"));
+
+  try {
+    for (const { name, data } of entries) {
+      const target = path.resolve(tempDir, name);
+      if (!target.startsWith(tempDir + path.sep)) {
+        throw new Error(`archive entry "${name}" points outside the theme`);
+      }
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, data);
+    }
+  } catch (e) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw e;
+  }
+
+  return tempDir;
+}
@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import {
+  RELEASE_TYPES,
+  PRERELEASE_TYPES,
+  parseVersion,
+  compareVersions,
+  incrementVersion,
+  isValidPreid,
+} from "./semver.js";
+import { InvalidOptionsError, MetadataError, ThemeNotFoundError, VersionError } from "./errors.js";
+
+// Version bumps for metadata.json. Planning is separate from writing so the
+// CLI can check git before anything on disk changes.
+
+export const BUMP_TYPES = [...RELEASE_TYPES, ...PRERELEASE_TYPES];
+
+// Work out a bump without writing it. `spec` is a release type or an explicit
+// version. Returns { path, metadataPath, metadata, previousVersion, version }.
+export function planBump(dir, spec = "patch", { preid, cwd = process.cwd() } = {}) {
+  const explicitVersion = BUMP_TYPES.includes(spec) ? null : spec;
+  if (explicitVersion && !parseVersion(explicitVersion)) {
+    throw new InvalidOptionsError(`"${spec}" is neither a release type nor a valid version`, {
+      hint: `Use one of ${BUMP_TYPES.join(", ")}, or a version like 1.2.0`,
+    });
+  }
+
+  if (preid !== undefined) {
+    if (explicitVersion || !PRERELEASE_TYPES.includes(spec)) {
+      throw new InvalidOptionsError(`preid only applies to ${PRERELEASE_TYPES.join(", ")}`);
+    }
+    if (!isValidPreid(preid)) {
+      throw new InvalidOptionsError(`Invalid preid "${preid}" - use letters, digits, hyphens and dots`);
+    }
+  }
+
+  const fullPath = path.resolve(cwd, dir);
+  const metadataPath = path.join(fullPath, "metadata.json");
+  if (!fs.existsSync(metadataPath)) {
+    throw new ThemeNotFoundError("metadata.json not found.");
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+  } catch (e) {
+    throw new MetadataError(`Invalid metadata.json - ${e.message}`, { cause: e });
+  }
+
+  const previousVersion = metadata.version;
+  if (!previousVersion) {
+    throw new MetadataError("No version field in metadata.json");
+  }
+
+  // An explicit version can replace one that isn't valid semver
+  const previousIsValid = Boolean(parseVersion(previousVersion));
+  if (!previousIsValid && !explicitVersion) {
+    throw new VersionError(`Invalid version format "${previousVersion}"`, {
+      hint: "Run validate --fix to normalize it, or set an explicit version: create-bl-theme bump 1.0.0",
+    });
+  }
+
+  const version = explicitVersion ?? incrementVersion(previousVersion, spec, preid);
+
+  // Versions only ever move forward
+  if (previousIsValid && compareVersions(version, previousVersion) <= 0) {
+    throw new VersionError(`${version} is not greater than the current version ${previousVersion}`);
+  }
+
+  return { path: fullPath, metadataPath, metadata, previousVersion, version };
+}
+
+// Write a planned bump to metadata.json
+export function applyBump(plan) {
+  const metadata = { ...plan.metadata, version: plan.version };
+  fs.writeFileSync(plan.metadataPath, JSON.stringify(metadata, null, 2) + "\n");
+}
+
+// Bump the version in a theme's metadata.json by a release type ("patch" by
+// default) or to an explicit version. Returns { path, previousVersion, version }.
+export function bumpVersion(dir, type = "patch", options = {}) {
+  const plan = planBump(dir, type, options);
+  applyBump(plan);
+  return { path: plan.path, previousVersion: plan.previousVersion, version: plan.version };
+}
@@ -0,0 +1,71 @@
+// CHANGELOG.md sections built from conventional-commit subjects, for `bump`.
+
+const CHANGELOG_HEADER = "# Changelog\n\nAll notable changes to this theme are documented in this file.\n";
+
+// Conventional-commit types and the heading each is grouped under, in display order
+const GROUPS = [
+  { types: ["feat"], title: "Features" },
+  { types: ["fix"], title: "Bug Fixes" },
+  { types: ["style"], title: "Styles" },
+];
+const OTHER_TITLE = "Other Changes";
+
+const CONVENTIONAL_SUBJECT = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "feat(lyrics)!: glow on active line" -> "**lyrics:** glow on active line (breaking)"
+function parseSubject(subject) {
+  const match = subject.match(CONVENTIONAL_SUBJECT);
+  if (!match) return { type: null, text: subject };
+  const [, type, scope, breaking, text] = match;
+  return {
+    type: type.toLowerCase(),
+    text: `${scope ? `**${scope}:** ` : ""}${text}${breaking ? " (breaking)" : ""}`,
+  };
+}
+
+export function renderChangelogSection(version, subjects, date) {
+  const groups = new Map([...GROUPS.map(({ title }) => [title, []]), [OTHER_TITLE, []]]);
+  for (const subject of subjects) {
+    const { type, text } = parseSubject(subject);
+    const group = GROUPS.find(({ types }) => types.includes(type));
+    // Ungrouped commits keep their prefix, which is the only hint of what they are
+    groups.get(group ? group.title : OTHER_TITLE).push(group ? text : subject);
+  }
+
+  const lines = [`## ${version} - ${date}`, ""];
+  const populated = [...groups].filter(([, items]) => items.length > 0);
+  if (populated.length === 0) {
+    lines.push("- Version bump only", "");
+  }
+  for (const [title, items] of populated) {
+    lines.push(`### ${title}`, "", ...items.map((item) => `- ${item}`), "");
+  }
+  return lines.join("\n");
+}
+
+// Insert a section above the newest entry, creating the file's header if needed
+export function prependChangelogSection(changelog, section) {
+  if (!changelog || changelog.trim().length === 0) {
+    return `${CHANGELOG_HEADER}\n${section}`;
+  }
+  const firstEntry = changelog.search(/^## /m);
+  if (firstEntry === -1) {
+    return `${changelog.trimEnd()}\n\n${section}`;
+  }
+  return changelog.slice(0, firstEntry) + section + "\n" + changelog.slice(firstEntry);
+}
+
+// Whether a "## 1.2.0", "## v1.2.0" or "## [1.2.0]" heading exists
+export function hasChangelogEntry(changelog, version) {
+  const heading = new RegExp(`^##\\s+\\[?v?${escapeRegExp(version)}\\]?(?:\\s|$)`, "m");
+  return heading.test(changelog);
+}
+
+// Matches subjects produced by a release message template such as "chore: release v%s"
+export function releaseSubjectPattern(template) {
+  return new RegExp(`^${template.split("%s").map(escapeRegExp).join(".+")}$`);
+}
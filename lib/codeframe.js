@@ -0,0 +1,38 @@
+// Source excerpts that point at a location, for compiler errors and warnings:
+//
+//      9 | .blyrics-container {
+//   > 10 |   color: @@accent;
+//        |          ^^^^^^^^
+//     11 | }
+//
+// Markers and carets are plain characters, so frames stay readable without color.
+
+// Lines of a frame around `start` (and up to `end`, exclusive), both 1-based
+// { line, column }. `colors` may style the gutter and the marker/carets.
+export function codeFrame(source, { start, end }, { context = 2, colors = {} } = {}) {
+  const { gutter = (text) => text, marker = (text) => text } = colors;
+  const lines = source.split(/\r?\n/);
+  if (!start || start.line < 1 || start.line > lines.length) return [];
+
+  const first = Math.max(1, start.line - context);
+  const last = Math.min(lines.length, start.line + context);
+  const width = String(last).length;
+
+  const frame = [];
+  for (let number = first; number <= last; number++) {
+    const text = lines[number - 1].replace(/\s+$/, "");
+    const isTarget = number === start.line;
+    const prefix = isTarget ? marker(">") : " ";
+    frame.push(`${prefix} ${gutter(`${String(number).padStart(width)} |`)}${text ? ` ${text}` : ""}`);
+
+    if (isTarget) {
+      // Tabs before the column keep the caret aligned
+      const column = Math.max(1, Math.min(start.column || 1, text.length + 1));
+      const padding = text.slice(0, column - 1).replace(/[^\t]/g, " ");
+      const endColumn = end && end.line === start.line ? end.column : text.length + 1;
+      const length = Math.max(1, endColumn - column);
+      frame.push(`  ${gutter(`${" ".repeat(width)} |`)} ${padding}${marker("^".repeat(length))}`);
+    }
+  }
+  return frame;
+}
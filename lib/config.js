@@ -0,0 +1,171 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RULES } from "./rules.js";
+import { ConfigError } from "./errors.js";
+
+// Settings shared across commands, read from the user's config file and the
+// theme project's own config file. Project settings win.
+
+export const PROJECT_CONFIG_FILE = "bl-theme.config.json";
+
+// Every setting, with what it's for (shown by `config list`)
+export const CONFIG_KEYS = {
+  creator: "GitHub username for new themes",
+  tags: "Tags selected for new themes",
+  template: "Starter template for new themes",
+  license: "License named in a new theme's README",
+  registry: "Theme registry URL or local path for publish",
+  rules: "Validation rule levels: off, warn or error",
+};
+
+export const RULE_LEVELS = ["off", "warn", "error"];
+
+function configHome() {
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+}
+
+export function userConfigPath() {
+  return path.join(configHome(), "create-bl-theme", "config.json");
+}
+
+export function cacheDir() {
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "create-bl-theme");
+}
+
+// The nearest bl-theme.config.json from `dir` up to the root of its git
+// repository, so one file can cover every theme in a repository. Null when none.
+export function findProjectConfig(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(current);
+    if (parent === current || fs.existsSync(path.join(current, ".git"))) return null;
+    current = parent;
+  }
+}
+
+function checkRuleLevel(ruleId, level) {
+  if (!(ruleId in RULES)) return `unknown rule "${ruleId}"`;
+  if (!RULE_LEVELS.includes(level)) {
+    return `rules.${ruleId} must be one of ${RULE_LEVELS.join(", ")}`;
+  }
+  return null;
+}
+
+// What's wrong with a setting, or null when it's fine
+function checkSetting(key, value) {
+  if (!(key in CONFIG_KEYS)) {
+    return `unknown setting "${key}" - use one of ${Object.keys(CONFIG_KEYS).join(", ")}`;
+  }
+  if (key === "tags") {
+    return Array.isArray(value) && value.every((tag) => typeof tag === "string")
+      ? null
+      : "tags must be an array of strings";
+  }
+  if (key === "rules") {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return "rules must map rule ids to levels";
+    }
+    return Object.entries(value)
+      .map(([ruleId, level]) => checkRuleLevel(ruleId, level))
+      .find(Boolean) ?? null;
+  }
+  return typeof value === "string" && value.length > 0 ? null : `${key} must be a non-empty string`;
+}
+
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new ConfigError(`Invalid config file ${filePath} - ${e.message}`, { cause: e });
+  }
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError(`Invalid config file ${filePath} - expected a JSON object`);
+  }
+
+  const problems = Object.entries(config)
+    .map(([key, value]) => checkSetting(key, value))
+    .filter(Boolean);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid config file ${filePath}`, { problems });
+  }
+  return config;
+}
+
+// The config files that apply to a directory, lowest precedence first:
+// [{ scope: "user" | "project", path, config }]. A missing user file has an
+// empty config; the project entry is left out when there's no project file.
+export function loadConfigFiles(projectDir) {
+  const files = [{ scope: "user", path: userConfigPath(), config: readConfigFile(userConfigPath()) }];
+  const projectPath = projectDir ? findProjectConfig(projectDir) : null;
+  if (projectPath) {
+    files.push({ scope: "project", path: projectPath, config: readConfigFile(projectPath) });
+  }
+  return files;
+}
+
+// The merged config for a theme directory, with rule levels merged rule by rule.
+// Throws a ConfigError when a config file is unreadable or has invalid settings.
+export function loadConfig(projectDir) {
+  const merged = {};
+  for (const { config } of loadConfigFiles(projectDir)) {
+    const rules = merged.rules || config.rules ? { ...merged.rules, ...config.rules } : undefined;
+    Object.assign(merged, config);
+    if (rules) merged.rules = rules;
+  }
+  return merged;
+}
+
+// A setting by key, where "rules.<rule-id>" reaches into the rule levels
+export function getConfigValue(config, key) {
+  if (key.startsWith("rules.")) return config.rules?.[key.slice("rules.".length)];
+  return config[key];
+}
+
+// Turn a command-line value into a setting; tags are comma-separated
+export function parseConfigValue(key, raw) {
+  let problem;
+  let value = raw;
+  if (key.startsWith("rules.")) {
+    problem = checkRuleLevel(key.slice("rules.".length), raw);
+  } else if (key === "rules") {
+    problem = "set one rule at a time, e.g. rules.image-aspect-ratio";
+  } else {
+    if (key === "tags") {
+      value = raw
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+    }
+    problem = checkSetting(key, value);
+  }
+
+  if (problem) {
+    throw new ConfigError(`Invalid value for ${key}`, { problems: [problem] });
+  }
+  return value;
+}
+
+// Set a setting in a config file (creating the file if needed), or remove it
+// when `value` is undefined
+export function writeConfigValue(filePath, key, value) {
+  const config = readConfigFile(filePath);
+  if (key.startsWith("rules.")) {
+    const rules = { ...config.rules, [key.slice("rules.".length)]: value };
+    if (value === undefined) delete rules[key.slice("rules.".length)];
+    if (Object.keys(rules).length > 0) config.rules = rules;
+    else delete config.rules;
+  } else if (value === undefined) {
+    delete config[key];
+  } else {
+    config[key] = value;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + "\n");
+}
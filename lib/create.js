@@ -0,0 +1,282 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { METADATA_SCHEMA_URL, SHADER_TEMPLATE_PATH } from "./validate.js";
+import { DirectoryNotEmptyError, InvalidOptionsError, TemplateError } from "./errors.js";
+
+// Scaffolding a new theme: the starter templates, the checks on what a theme
+// is created with, and the files `create` writes.
+
+const STARTERS_DIR = fileURLToPath(new URL("../templates/starters", import.meta.url));
+
+// Built-in starter templates, in the order they're offered
+export const STARTER_TEMPLATES = ["blank", "minimal", "glassmorphism", "neon", "retro", "light"];
+export const DEFAULT_TEMPLATE = "blank";
+
+// Tags offered when creating a theme
+export const TAG_CHOICES = [
+  "dark",
+  "light",
+  "minimal",
+  "colorful",
+  "animated",
+  "glassmorphism",
+  "retro",
+  "neon",
+];
+
+export const DEFAULT_DESCRIPTION = "A custom theme for Better Lyrics";
+
+const DESCRIPTION_TEMPLATE = `<!--
+  Better Lyrics supports GitHub Flavored Markdown (GFM) for theme descriptions.
+  You can use all standard GFM features including:
+  - **Bold** and *italic* text
+  - [Links](https://example.com)
+  - Images: ![alt text](https://example.com/image.png)
+  - Lists (ordered and unordered)
+  - Code blocks with syntax highlighting
+  - Tables
+  - And more!
+
+  This file takes precedence over the "description" field in metadata.json.
+  Delete this comment block when you're ready to publish.
+-->
+
+## Features
+
+- Add your theme features here
+- Describe what makes your theme special
+- Use **bold** for emphasis on key points
+
+## Preview
+
+<!-- You can embed images directly in your description -->
+<!-- ![Theme Preview](https://your-image-url.png) -->
+
+## Installation Notes
+
+Any special instructions for using this theme.
+
+## Compatibility
+
+- Works with Better Lyrics v2.0.5.6+
+`;
+
+export function isDirectoryEmpty(dirPath) {
+  const entries = fs.readdirSync(dirPath);
+  return entries.every((entry) => entry.startsWith("."));
+}
+
+export function toThemeId(name) {
+  return name.toLowerCase().replace(/\s+/g, "-");
+}
+
+export function toThemeTitle(name) {
+  return name
+    .split("-")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+// Validators return true or a message, so they double as prompt validators
+
+export const validateThemeId = (value) =>
+  /^[a-z0-9-]+$/.test(value)
+    ? true
+    : "Only lowercase letters, numbers, and hyphens allowed";
+
+export const validateTitle = (value) => (value.length > 0 ? true : "Title is required");
+
+export const validateCreator = (value) =>
+  value.length > 0 ? true : "GitHub username is required";
+
+export function validateTags(tags) {
+  const unknown = tags.filter((tag) => !TAG_CHOICES.includes(tag));
+  return unknown.length === 0
+    ? true
+    : `Unknown tag(s) ${unknown.join(", ")}. Choose from: ${TAG_CHOICES.join(", ")}`;
+}
+
+const templateCache = new Map();
+
+// Load a starter template directory: a style file plus optional template.json and shader.json
+function loadTemplate(templateDir, name) {
+  const styleFile = ["style.rics", "style.css"].find((file) =>
+    fs.existsSync(path.join(templateDir, file))
+  );
+  if (!styleFile) {
+    throw new TemplateError(`Template "${name}" has no style.rics or style.css.`);
+  }
+
+  let info = {};
+  const infoPath = path.join(templateDir, "template.json");
+  if (fs.existsSync(infoPath)) {
+    try {
+      info = JSON.parse(fs.readFileSync(infoPath, "utf-8"));
+    } catch (e) {
+      throw new TemplateError(`Template "${name}" has an invalid template.json - ${e.message}`, { cause: e });
+    }
+  }
+
+  const tags = info.tags ?? [];
+  const tagsResult = Array.isArray(tags) ? validateTags(tags) : "tags must be an array";
+  if (tagsResult !== true) {
+    throw new TemplateError(`Template "${name}" template.json: ${tagsResult}`);
+  }
+
+  const shaderPath = path.join(templateDir, "shader.json");
+  return {
+    name,
+    title: info.title ?? name,
+    description: info.description ?? "",
+    tags,
+    styleFile,
+    stylePath: path.join(templateDir, styleFile),
+    shaderPath: fs.existsSync(shaderPath) ? shaderPath : null,
+  };
+}
+
+// Resolve a template: a built-in starter name or a path to a local template directory
+export function resolveTemplate(value, { cwd = process.cwd() } = {}) {
+  const localPath = path.resolve(cwd, value);
+  const key = STARTER_TEMPLATES.includes(value) ? value : localPath;
+  if (templateCache.has(key)) {
+    return templateCache.get(key);
+  }
+
+  let template;
+  if (STARTER_TEMPLATES.includes(value)) {
+    template = loadTemplate(path.join(STARTERS_DIR, value), value);
+  } else {
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isDirectory()) {
+      throw new TemplateError(`Unknown template "${value}".`, {
+        hint: `Use one of ${STARTER_TEMPLATES.join(", ")}, or a path to a local template directory.`,
+      });
+    }
+    template = loadTemplate(localPath, path.basename(localPath));
+  }
+
+  templateCache.set(key, template);
+  return template;
+}
+
+// Scaffold a theme into `directory` (relative to `cwd`). Only `creator` is
+// required; the rest default to what the `create` prompts offer. Writing into
+// a non-empty directory needs `force`.
+// Returns { path, metadata, files, template }, with `files` relative to the theme.
+export function createTheme(options = {}) {
+  const {
+    cwd = process.cwd(),
+    directory = "my-bl-theme",
+    force = false,
+    template: templateName = DEFAULT_TEMPLATE,
+    ...answers
+  } = options;
+  const fullPath = path.resolve(cwd, directory);
+  const template = resolveTemplate(templateName, { cwd });
+  const theme = {
+    id: toThemeId(path.basename(fullPath)),
+    title: toThemeTitle(path.basename(fullPath)),
+    description: DEFAULT_DESCRIPTION,
+    useDescriptionFile: false,
+    tags: template.tags,
+    hasShaders: Boolean(template.shaderPath),
+    license: "MIT",
+    ...Object.fromEntries(Object.entries(answers).filter(([, value]) => value !== undefined)),
+  };
+
+  const problems = [];
+  if (theme.creator === undefined) problems.push("creator is required");
+  for (const [name, validate] of [
+    ["id", validateThemeId],
+    ["title", validateTitle],
+    ["creator", validateCreator],
+    ["license", (value) => (value.length > 0 ? true : "License is required")],
+  ]) {
+    if (theme[name] === undefined) continue;
+    const result = typeof theme[name] === "string" ? validate(theme[name]) : "must be a string";
+    if (result !== true) problems.push(`${name}: ${result}`);
+  }
+  const tagsResult = Array.isArray(theme.tags) ? validateTags(theme.tags) : "must be an array";
+  if (tagsResult !== true) problems.push(`tags: ${tagsResult}`);
+  if (problems.length > 0) {
+    throw new InvalidOptionsError("Invalid theme options", { problems });
+  }
+
+  if (!force && fs.existsSync(fullPath) && !isDirectoryEmpty(fullPath)) {
+    throw new DirectoryNotEmptyError(`Directory "${directory}" is not empty.`, {
+      hint: "Pass force to scaffold into it anyway (files may be overwritten).",
+    });
+  }
+
+  const files = [];
+  const write = (file, contents) => {
+    fs.writeFileSync(path.join(fullPath, file), contents);
+    files.push(file);
+  };
+
+  // Create directories
+  fs.mkdirSync(path.join(fullPath, "images"), { recursive: true });
+
+  const metadata = {
+    $schema: METADATA_SCHEMA_URL,
+    id: theme.id,
+    title: theme.title,
+    creators: [theme.creator],
+    minVersion: "2.0.5.6",
+    hasShaders: theme.hasShaders,
+    version: "1.0.0",
+    tags: theme.tags,
+    images: ["preview.png"],
+  };
+
+  // Only include description in metadata.json if not using DESCRIPTION.md
+  if (theme.useDescriptionFile) {
+    write("metadata.json", JSON.stringify(metadata, null, 2));
+    write("DESCRIPTION.md", DESCRIPTION_TEMPLATE);
+  } else {
+    metadata.description = theme.description;
+    write("metadata.json", JSON.stringify(metadata, null, 2));
+  }
+
+  // The stylesheet comes from the starter template
+  write(template.styleFile, fs.readFileSync(template.stylePath, "utf-8"));
+
+  // shader.json prefers the starter's own config
+  if (theme.hasShaders) {
+    write("shader.json", fs.readFileSync(template.shaderPath || SHADER_TEMPLATE_PATH, "utf-8"));
+  }
+
+  write(
+    "README.md",
+    `# ${theme.title}
+
+${theme.description}
+
+## Installation
+
+1. Open Better Lyrics extension options
+2. Go to **Themes** tab
+3. Click **Install from URL**
+4. Enter: \`https://github.com/${theme.creator}/${directory}\`
+
+## Preview
+
+![Preview](images/preview.png)
+
+## License
+
+${theme.license}
+`
+  );
+
+  write(".gitattributes", "*.rics linguist-language=SCSS\n");
+
+  // Placeholder image note
+  write(
+    path.join("images", ".gitkeep"),
+    "Add your preview screenshots here.\nRecommended: 1280x720 (16:9 aspect ratio)\nRename your main preview to preview.png\n"
+  );
+
+  return { path: fullPath, metadata, files, template: template.name };
+}
@@ -0,0 +1,112 @@
+// Whitespace-safe CSS minifier for compiled theme output.
+// Keeps strings and `/*! ... */` comments intact and never touches spaces that
+// change meaning (descendant combinators, `a :hover`, `calc(1px + 2px)`).
+
+const PUNCTUATION = new Set(["{", "}", ";", ",", ">"]);
+
+// Returns the minified code plus, for every point where the input line changes,
+// the generated column and the 0-based input line it came from (for source maps).
+export function minifyCss(css) {
+  let out = "";
+  let pendingSpace = false;
+  let line = 0;
+  let lastMappedLine = -1;
+  const positions = [];
+
+  const emit = (text, fromLine) => {
+    if (pendingSpace) {
+      const prev = out[out.length - 1];
+      if (out.length > 0 && !PUNCTUATION.has(prev) && !PUNCTUATION.has(text[0])) {
+        out += " ";
+      }
+      pendingSpace = false;
+    }
+    if (fromLine !== lastMappedLine) {
+      positions.push({ column: out.length, line: fromLine });
+      lastMappedLine = fromLine;
+    }
+    out += text;
+  };
+
+  let i = 0;
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === "\n") {
+      line++;
+      pendingSpace = out.length > 0;
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      pendingSpace = out.length > 0;
+      i++;
+      continue;
+    }
+
+    // Comments: drop, unless marked important with /*!
+    if (char === "/" && css[i + 1] === "*") {
+      const end = css.indexOf("*/", i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      const comment = css.slice(i, stop);
+      if (comment.startsWith("/*!")) {
+        emit(comment, line);
+      }
+      line += (comment.match(/\n/g) || []).length;
+      i = stop;
+      continue;
+    }
+
+    // Strings are copied verbatim
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < css.length && css[j] !== char) {
+        if (css[j] === "\\") j++;
+        j++;
+      }
+      const literal = css.slice(i, j + 1);
+      emit(literal, line);
+      line += (literal.match(/\n/g) || []).length;
+      i = j + 1;
+      continue;
+    }
+
+    // The last declaration in a block doesn't need its semicolon
+    if (char === "}" && out.endsWith(";")) {
+      out = out.slice(0, -1);
+    }
+
+    if (PUNCTUATION.has(char)) {
+      pendingSpace = false;
+    }
+    emit(char, line);
+    i++;
+
+    // `color: red` -> `color:red`, but leave selectors like `.a :hover` alone
+    if (char === ":" && isDeclarationColon(css, i)) {
+      while (i < css.length && /[ \t]/.test(css[i])) i++;
+    }
+  }
+
+  return { code: out, positions };
+}
+
+// A colon belongs to a declaration when the statement ends before a block opens
+function isDeclarationColon(css, from) {
+  let quote = null;
+  for (let i = from; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "{") {
+      return false;
+    } else if (char === ";" || char === "}") {
+      return true;
+    }
+  }
+  return true;
+}
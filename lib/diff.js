@@ -0,0 +1,68 @@
+// Line-based unified diff, used by `validate --fix --dry-run` to show changes.
+
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && before[i] === after[j]) {
+      ops.push({ type: " ", text: before[i], oldLine: i++, newLine: j++ });
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ type: "-", text: before[i], oldLine: i++, newLine: j });
+    } else {
+      ops.push({ type: "+", text: after[j], oldLine: i, newLine: j++ });
+    }
+  }
+  return ops;
+}
+
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+export function unifiedDiff(before, after, { fromFile, toFile, context = 3 }) {
+  const ops = diffLines(splitLines(before ?? ""), splitLines(after));
+  const changed = ops.map((op, index) => (op.type !== " " ? index : -1)).filter((index) => index >= 0);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${before === null ? "/dev/null" : fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end + 1);
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) output.push(`${op.type}${op.text}`);
+  }
+  return output.join("\n");
+}
@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+
+// Finding themes in repositories that hold more than one: any directory with a
+// metadata.json is a theme, and themes don't nest.
+
+const SKIPPED_DIRS = new Set(["node_modules"]);
+const GLOB_CHARS = /[*?[]/;
+
+// Every theme directory under `root` (including `root` itself), sorted
+export function findThemeDirs(root) {
+  const themes = [];
+  const walk = (dir) => {
+    if (fs.existsSync(path.join(dir, "metadata.json"))) {
+      themes.push(dir);
+      return;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith(".") || SKIPPED_DIRS.has(entry.name)) continue;
+      walk(path.join(dir, entry.name));
+    }
+  };
+  walk(root);
+  return themes.sort();
+}
+
+// "themes/*" -> /^themes\/[^/]*$/, with ** matching any number of directories
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += pattern.slice(i, end + 1).replace(/^\[!/, "[^");
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Resolve theme arguments to absolute directories. Plain paths are kept as
+// given (commands report missing ones); glob patterns expand to the theme
+// directories they match, so quoted globs work in every shell.
+export function expandThemePatterns(patterns, cwd = process.cwd()) {
+  const dirs = [];
+  for (const pattern of patterns) {
+    if (!GLOB_CHARS.test(pattern)) {
+      dirs.push(path.resolve(cwd, pattern));
+      continue;
+    }
+
+    // Only walk from the part of the pattern before the first wildcard
+    const normalized = pattern.split(path.sep).join("/").replace(/^\.\//, "");
+    const segments = normalized.split("/");
+    const literal = segments.slice(0, segments.findIndex((segment) => GLOB_CHARS.test(segment)));
+    const base = path.resolve(cwd, literal.join("/") || ".");
+    const matcher = globToRegExp(path.posix.normalize(normalized).replace(/\/$/, ""));
+    const relativeTo = (dir) => (path.isAbsolute(pattern) ? dir : path.relative(cwd, dir));
+
+    const matches = fs.existsSync(base)
+      ? findThemeDirs(base).filter((dir) => matcher.test(relativeTo(dir).split(path.sep).join("/")))
+      : [];
+    if (matches.length === 0) {
+      throw new Error(`No themes match "${pattern}"`);
+    }
+    dirs.push(...matches);
+  }
+  return [...new Set(dirs)];
+}
@@ -0,0 +1,82 @@
+// Errors thrown by the library API. Each has a stable `code` for callers to
+// branch on, and optionally `problems` (a list of details) and a `hint`.
+
+export class ThemeError extends Error {
+  constructor(message, { code = "THEME_ERROR", problems, hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    if (problems) this.problems = problems;
+    if (hint) this.hint = hint;
+  }
+}
+
+// Options passed to an API function are missing or invalid
+export class InvalidOptionsError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_OPTIONS", ...details });
+  }
+}
+
+// A theme directory, archive or metadata.json doesn't exist
+export class ThemeNotFoundError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "THEME_NOT_FOUND", ...details });
+  }
+}
+
+// Scaffolding would write into a directory that already has files
+export class DirectoryNotEmptyError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "DIRECTORY_NOT_EMPTY", ...details });
+  }
+}
+
+// A starter template can't be found or is malformed
+export class TemplateError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_TEMPLATE", ...details });
+  }
+}
+
+// metadata.json can't be parsed or lacks what an operation needs
+export class MetadataError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_METADATA", ...details });
+  }
+}
+
+// A version is not valid semver, or would not move forward
+export class VersionError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_VERSION", ...details });
+  }
+}
+
+// A git repository, remote or ref is missing or unusable
+export class GitError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "GIT_ERROR", ...details });
+  }
+}
+
+// An archive or git source for validation couldn't be read or fetched
+export class SourceError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "SOURCE_UNAVAILABLE", ...details });
+  }
+}
+
+// Neither the theme registry nor a cached copy of it could be loaded
+export class RegistryError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "REGISTRY_UNAVAILABLE", ...details });
+  }
+}
+
+// A config file is unreadable or has invalid settings
+export class ConfigError extends ThemeError {
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_CONFIG", ...details });
+  }
+}
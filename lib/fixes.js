@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import { parseVersion } from "./semver.js";
+
+// Safe, mechanical repairs applied by `validate --fix`. Each change is
+// computed up front so `--dry-run` can show it without touching the theme.
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg|gif|webp)$/i;
+const LOOSE_VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(-[\w.]+)?(\+[\w.]+)?$/;
+
+// The guidance comment `create` writes at the top of DESCRIPTION.md
+const DESCRIPTION_TEMPLATE_COMMENT =
+  /^\s*<!--(?:(?!-->)[\s\S])*Delete this comment block when you're ready to publish\.\s*-->\s*/;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// "v1.2" -> "1.2.0"; anything that isn't recognisably a version is left alone
+function coerceVersion(version) {
+  const match = String(version).trim().match(LOOSE_VERSION_PATTERN);
+  if (!match) return null;
+  const [, major, minor = "0", patch = "0", prerelease = "", build = ""] = match;
+  return `${Number(major)}.${Number(minor)}.${Number(patch)}${prerelease}${build}`;
+}
+
+function fixMetadata(fullPath) {
+  const file = "metadata.json";
+  const filePath = path.join(fullPath, file);
+  if (!fs.existsSync(filePath)) return null;
+
+  const before = fs.readFileSync(filePath, "utf-8");
+  let metadata;
+  try {
+    metadata = JSON.parse(before);
+  } catch (e) {
+    // Broken JSON needs a human
+    return null;
+  }
+  if (!isObject(metadata)) return null;
+
+  const descriptions = [];
+
+  // Keep the images array in step with what is actually in images/
+  const imagesDir = path.join(fullPath, "images");
+  const available = fs.existsSync(imagesDir)
+    ? fs.readdirSync(imagesDir).filter((f) => IMAGE_PATTERN.test(f)).sort()
+    : [];
+  const current = Array.isArray(metadata.images)
+    ? metadata.images.filter((item) => typeof item === "string")
+    : [];
+  const kept = current.filter((image) => available.includes(image));
+  const removed = current.filter((image) => !available.includes(image));
+  const added = available.filter((image) => !kept.includes(image));
+  if (removed.length > 0 || added.length > 0 || !Array.isArray(metadata.images)) {
+    if (available.length > 0 || Array.isArray(metadata.images)) {
+      metadata.images = [...kept, ...added];
+      for (const image of removed) descriptions.push(`removed missing image "${image}"`);
+      for (const image of added) descriptions.push(`added image "${image}" from images/`);
+    }
+  }
+
+  if (typeof metadata.version === "string" && !parseVersion(metadata.version)) {
+    const version = coerceVersion(metadata.version);
+    if (version && parseVersion(version)) {
+      descriptions.push(`normalized version "${metadata.version}" to "${version}"`);
+      metadata.version = version;
+    }
+  }
+
+  if (descriptions.length === 0) return null;
+
+  // Fields keep their order (new ones go last) and the file keeps its final
+  // newline or lack of one, so the diff only shows what was fixed
+  const after = JSON.stringify(metadata, null, 2) + (before.endsWith("\n") ? "\n" : "");
+  return { file, before, after, descriptions };
+}
+
+function fixDescription(fullPath) {
+  const file = "DESCRIPTION.md";
+  const filePath = path.join(fullPath, file);
+  if (!fs.existsSync(filePath)) return null;
+
+  const before = fs.readFileSync(filePath, "utf-8");
+  if (!DESCRIPTION_TEMPLATE_COMMENT.test(before)) return null;
+
+  return {
+    file,
+    before,
+    after: before.replace(DESCRIPTION_TEMPLATE_COMMENT, ""),
+    descriptions: ["removed the template comment block"],
+  };
+}
+
+function fixShader(fullPath, shaderTemplatePath) {
+  const file = "shader.json";
+  const metadataPath = path.join(fullPath, "metadata.json");
+  if (fs.existsSync(path.join(fullPath, file)) || !fs.existsSync(metadataPath)) return null;
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+  } catch (e) {
+    return null;
+  }
+  if (!isObject(metadata) || metadata.hasShaders !== true) return null;
+
+  return {
+    file,
+    before: null,
+    after: fs.readFileSync(shaderTemplatePath, "utf-8"),
+    descriptions: ["created from the default template because hasShaders is true"],
+  };
+}
+
+// Every fix that applies to the theme, as { file, before, after, descriptions }.
+// `before` is null for files that would be created.
+export function collectFixes(fullPath, { shaderTemplatePath }) {
+  return [
+    fixMetadata(fullPath),
+    fixDescription(fullPath),
+    fixShader(fullPath, shaderTemplatePath),
+  ].filter(Boolean);
+}
+
+export function applyFixes(fullPath, fixes) {
+  for (const fix of fixes) {
+    fs.writeFileSync(path.join(fullPath, fix.file), fix.after);
+  }
+}
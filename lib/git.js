@@ -0,0 +1,96 @@
+import { execSync } from "child_process";
+
+// Git helpers shared by publish and bump. Each runs in the theme directory.
+
+export function checkIsGitRepo(themePath) {
+  try {
+    execSync("git rev-parse --git-dir", { cwd: themePath, stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isWorkingTreeClean(themePath) {
+  const status = execSync("git status --porcelain", { cwd: themePath, encoding: "utf8" });
+  return status.trim().length === 0;
+}
+
+// Commits on the current branch that its upstream doesn't have, or null without an upstream
+export function getUnpushedCommitCount(themePath) {
+  try {
+    const count = execSync('git rev-list --count "@{upstream}..HEAD"', {
+      cwd: themePath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    return Number(count.trim());
+  } catch {
+    return null;
+  }
+}
+
+export function getHeadCommit(themePath) {
+  try {
+    return execSync("git rev-parse HEAD", {
+      cwd: themePath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    // No commits yet
+    return null;
+  }
+}
+
+export function gitTagExists(themePath, tag) {
+  try {
+    execSync(`git rev-parse -q --verify "refs/tags/${tag}"`, { cwd: themePath, stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The most recent version tag reachable from HEAD, or null
+export function getPreviousVersionTag(themePath) {
+  try {
+    return execSync('git describe --tags --abbrev=0 --match "v[0-9]*"', {
+      cwd: themePath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Subjects of the commits touching the theme since `sinceTag` (all history when null)
+export function getCommitSubjects(themePath, sinceTag) {
+  const range = sinceTag ? `"${sinceTag}..HEAD"` : "HEAD";
+  try {
+    const log = execSync(`git log --format=%s ${range} -- .`, {
+      cwd: themePath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    return log.split("\n").filter((line) => line.trim().length > 0);
+  } catch {
+    // No commits yet
+    return [];
+  }
+}
+
+export function getGitRemote(themePath) {
+  try {
+    return execSync("git remote get-url origin", { cwd: themePath, encoding: "utf8" }).trim();
+  } catch {
+    return null;
+  }
+}
+
+// "owner/repo" from a GitHub remote URL (https or ssh), or null for other hosts
+export function parseGitHubRepo(remote) {
+  const match = remote.match(/github\.com[:/](.+?)(?:\.git)?$/);
+  return match ? match[1].replace(/\.git$/, "") : null;
+}
@@ -0,0 +1,22 @@
+// Library entry point: the operations behind the CLI, returning structured
+// results and throwing the typed errors from ./errors.js instead of printing.
+
+export { createTheme, STARTER_TEMPLATES, TAG_CHOICES } from "./create.js";
+export { validateTheme, checkTheme } from "./validate.js";
+export { bumpVersion, BUMP_TYPES } from "./bump.js";
+export { getPublishStatus, simulatePublish, collectThemeFiles } from "./publish.js";
+export { compileStylesheet } from "./stylesheet.js";
+export { RULES } from "./rules.js";
+export {
+  ThemeError,
+  InvalidOptionsError,
+  ThemeNotFoundError,
+  DirectoryNotEmptyError,
+  TemplateError,
+  MetadataError,
+  VersionError,
+  GitError,
+  SourceError,
+  RegistryError,
+  ConfigError,
+} from "./errors.js";
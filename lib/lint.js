@@ -0,0 +1,255 @@
+// Style linting: checks on style.rics or style.css that don't stop a theme from
+// loading, but make it harder to maintain or likely to break when Better Lyrics
+// changes its markup. Works on the source, so lines match the file as written.
+
+// More !important declarations than this means fighting the cascade rather than using it
+export const MAX_IMPORTANT = 10;
+
+// Selectors with more levels than this depend on markup Better Lyrics may restructure
+export const MAX_SELECTOR_DEPTH = 4;
+
+// Blocks whose contents aren't rules for the page: keyframe steps, mixin bodies, font faces
+const NON_RULE_BLOCKS = /^@(?:-\w+-)?(?:keyframes|mixin|font-face|page)\b/;
+
+// Blank out comments (keeping newlines) so offsets still map to lines. `//`
+// comments only exist in RICS, and only after whitespace so `url(//...)` survives.
+function maskComments(source, rics) {
+  const pattern = rics ? /\/\*[\s\S]*?\*\/|(?<=^|\s)\/\/[^\n]*/g : /\/\*[\s\S]*?\*\//g;
+  return source.replace(pattern, (match) => match.replace(/[^\n]/g, " "));
+}
+
+function maskStrings(css) {
+  return css.replace(/"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g, (match) => match.replace(/[^\n]/g, " "));
+}
+
+// 1-based { line, column } for offsets into `text`
+function positionFinder(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) line--;
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+}
+
+// Nested blocks of a masked stylesheet:
+// { prelude, offset, children, statements: [{ text, offset }] }
+function parseBlocks(masked) {
+  const root = { prelude: "", offset: 0, children: [], statements: [] };
+  const stack = [root];
+  let start = 0;
+
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    // RICS interpolation like #{$name} is part of the statement, not a block
+    if (char === "{" && masked[i - 1] === "#") {
+      const close = masked.indexOf("}", i);
+      i = close === -1 ? masked.length : close;
+      continue;
+    }
+    if (char !== "{" && char !== "}" && char !== ";") continue;
+
+    const raw = masked.slice(start, i);
+    const text = raw.trim();
+    const offset = start + raw.length - raw.trimStart().length;
+    const current = stack[stack.length - 1];
+
+    if (char === "{") {
+      const block = { prelude: text.replace(/\s+/g, " "), offset, children: [], statements: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else {
+      if (text) current.statements.push({ text, offset });
+      if (char === "}" && stack.length > 1) stack.pop();
+    }
+    start = i + 1;
+  }
+
+  return root;
+}
+
+// Split on commas outside parentheses and brackets
+function splitList(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(" || text[i] === "[") depth++;
+    else if (text[i] === ")" || text[i] === "]") depth--;
+    else if (text[i] === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim().replace(/\s*([>+~])\s*/g, " $1 ").replace(/\s+/g, " ")).filter(Boolean);
+}
+
+// Full selectors for a nested rule, with `&` standing for each parent selector
+function resolveSelectors(prelude, parents) {
+  const own = splitList(prelude);
+  if (!parents) return own;
+  return parents.flatMap((parent) =>
+    own.map((selector) => (selector.includes("&") ? selector.replaceAll("&", parent) : `${parent} ${selector}`))
+  );
+}
+
+// How many compound selectors a complex selector chains together
+function selectorDepth(selector) {
+  let flat = selector;
+  while (/\([^()]*\)/.test(flat)) flat = flat.replace(/\([^()]*\)/g, "");
+  return flat.split(/\s*[>+~]\s*|\s+/).filter(Boolean).length;
+}
+
+// A property declaration: { name, important }, or null for variables and at-statements
+function parseDeclaration(text) {
+  const match = text.match(/^(-?[\w-]+)\s*:([\s\S]*)$/);
+  if (!match) return null;
+  const name = match[1].startsWith("--") ? match[1] : match[1].toLowerCase();
+  return { name, important: /!\s*important\b/i.test(match[2]) };
+}
+
+// Lint a stylesheet's source. `rics` enables the variable and mixin checks.
+// Returns [{ ruleId, message, line, column }].
+export function lintStyle(source, { rics = false } = {}) {
+  const withoutComments = maskComments(source, rics);
+  const masked = maskStrings(withoutComments);
+  const positionAt = positionFinder(source);
+  const problems = [];
+  const report = (ruleId, offset, message) => problems.push({ ruleId, message, ...positionAt(offset) });
+
+  const selectorsSeen = new Map();
+  const importants = [];
+  const variables = [];
+  const mixins = [];
+
+  const checkDeclarations = (block) => {
+    const properties = new Map();
+    let previous = null;
+    for (const statement of block.statements) {
+      const variable = statement.text.match(/^\$([\w-]+)\s*:/);
+      if (variable) {
+        variables.push({ name: variable[1], offset: statement.offset });
+        continue;
+      }
+
+      const declaration = parseDeclaration(statement.text);
+      if (!declaration) continue;
+      // Values come from the source, since masking blanks out strings
+      const valueStart = statement.offset + statement.text.indexOf(":") + 1;
+      const value = source.slice(valueStart, statement.offset + statement.text.length).trim();
+      if (declaration.important) importants.push(statement.offset);
+
+      const earlier = properties.get(declaration.name);
+      // `background: red; background: linear-gradient(...)` is a deliberate fallback
+      // for browsers without the function or prefixed value that follows it
+      const isFallback = earlier === previous && earlier.value !== value && /\(|^-\w+-/.test(value);
+      if (earlier && !isFallback) {
+        report(
+          "style-duplicate-property",
+          statement.offset,
+          `${declaration.name} is already set at line ${positionAt(earlier.offset).line} in this rule`
+        );
+      }
+      const entry = { value, offset: statement.offset };
+      properties.set(declaration.name, entry);
+      previous = entry;
+    }
+  };
+
+  const walk = (block, { selectors = null, context = "", inRules = true } = {}) => {
+    for (const child of block.children) {
+      const { prelude, offset } = child;
+
+      if (child.statements.length === 0 && child.children.length === 0) {
+        report("style-empty-rule", offset, `${prelude || "rule"} has no declarations - remove it`);
+      }
+      checkDeclarations(child);
+
+      const mixin = prelude.match(/^@mixin\s+([\w-]+)/);
+      if (mixin) mixins.push({ name: mixin[1], offset });
+
+      if (prelude.startsWith("@")) {
+        const isRuleBlock = inRules && !NON_RULE_BLOCKS.test(prelude);
+        walk(child, { selectors, context: `${context}${prelude} `, inRules: isRuleBlock });
+        continue;
+      }
+      if (!inRules) {
+        walk(child, { selectors, context, inRules });
+        continue;
+      }
+
+      const resolved = resolveSelectors(prelude, selectors);
+
+      const id = prelude.replace(/\[[^\]]*\]/g, "").match(/#-?[_a-zA-Z][\w-]*/);
+      if (id) {
+        report(
+          "style-id-selector",
+          offset,
+          `${id[0]} is an ID selector - Better Lyrics may rename or drop it, so prefer its blyrics- classes`
+        );
+      }
+
+      const depth = Math.max(...resolved.map(selectorDepth));
+      const parentDepth = selectors ? Math.max(...selectors.map(selectorDepth)) : 0;
+      if (depth > MAX_SELECTOR_DEPTH && parentDepth <= MAX_SELECTOR_DEPTH) {
+        report(
+          "style-overly-specific",
+          offset,
+          `selector chains ${depth} levels (more than ${MAX_SELECTOR_DEPTH}) and will break if Better Lyrics changes its markup`
+        );
+      }
+
+      const key = `${context}${resolved.join(", ")}`;
+      if (selectorsSeen.has(key)) {
+        report(
+          "style-duplicate-selector",
+          offset,
+          `${resolved.join(", ")} is also styled at line ${positionAt(selectorsSeen.get(key)).line} - merge the rules`
+        );
+      } else {
+        selectorsSeen.set(key, offset);
+      }
+
+      walk(child, { selectors: resolved, context, inRules });
+    }
+  };
+
+  const root = parseBlocks(masked);
+  checkDeclarations(root);
+  walk(root);
+
+  if (importants.length > MAX_IMPORTANT) {
+    report(
+      "style-important",
+      importants[MAX_IMPORTANT],
+      `${importants.length} declarations use !important (more than ${MAX_IMPORTANT}) - ` +
+        "more specific Better Lyrics selectors are easier to override and maintain"
+    );
+  }
+
+  if (rics) {
+    // Variables and mixins are used by name anywhere outside comments
+    const uses = (pattern) => [...withoutComments.matchAll(pattern)].length;
+
+    const definitions = new Map();
+    for (const { name } of variables) definitions.set(name, (definitions.get(name) ?? 0) + 1);
+    const reported = new Set();
+    for (const { name, offset } of variables) {
+      if (reported.has(name)) continue;
+      if (uses(new RegExp(`\\$${name}(?![\\w-])`, "g")) > definitions.get(name)) continue;
+      reported.add(name);
+      report("style-unused-variable", offset, `$${name} is defined but never used`);
+    }
+
+    for (const { name, offset } of mixins) {
+      if (uses(new RegExp(`@include\\s+${name}(?![\\w-])`, "g")) > 0) continue;
+      report("style-unused-mixin", offset, `@mixin ${name} is defined but never included`);
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
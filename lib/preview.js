@@ -0,0 +1,142 @@
+// Self-contained HTML mock of the Better Lyrics lyrics panel, used by `preview`
+// and served at / by `dev`. The markup mirrors the classes Better Lyrics renders
+// so theme CSS applies the same way it does inside YouTube Music.
+
+const SAMPLE_LINES = [
+  { words: ["Streetlights", "hum", "a", "borrowed", "tune"], state: "past" },
+  {
+    words: ["We", "were", "chasing", "echoes", "through", "the", "rain"],
+    state: "past",
+    translation: "Nous poursuivions des échos sous la pluie",
+  },
+  {
+    words: ["Every", "window", "glowing", "like", "a", "screen"],
+    state: "active",
+    sung: 3,
+  },
+  {
+    words: ["夜空に", "光る", "星"],
+    state: "upcoming",
+    romanization: "yozora ni hikaru hoshi",
+    translation: "Stars shining in the night sky",
+  },
+  { words: ["Hold", "the", "chorus", "one", "more", "time"], state: "upcoming" },
+  { words: ["Till", "the", "morning", "finds", "us", "here"], state: "upcoming" },
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Theme CSS goes inside <style>, so it must not be able to close the tag
+function escapeStyle(css) {
+  return css.replace(/<\/style/gi, "<\\/style");
+}
+
+function renderLine(line) {
+  const classes = ["blyrics--line"];
+  if (line.state === "active") classes.push("blyrics--active");
+
+  const words = line.words
+    .map((word, index) => {
+      const wordClasses = ["blyrics--word"];
+      if (line.state === "past" || (line.state === "active" && index < line.sung)) {
+        wordClasses.push("blyrics--animating");
+      } else if (line.state === "active" && index === line.sung) {
+        wordClasses.push("blyrics--pre-animating");
+      }
+      return `<span class="${wordClasses.join(" ")}">${escapeHtml(word)}</span>`;
+    })
+    .join(" ");
+
+  const rows = [];
+  if (line.romanization) {
+    rows.push(`<div class="blyrics--romanized">${escapeHtml(line.romanization)}</div>`);
+  }
+  if (line.translation) {
+    rows.push(`<div class="blyrics--translated">${escapeHtml(line.translation)}</div>`);
+  }
+
+  return `        <div class="${classes.join(" ")}" data-preview-state="${line.state}">
+          ${words}${rows.map((row) => `\n          ${row}`).join("")}
+        </div>`;
+}
+
+// Reloads just the stylesheet when `dev` reports a successful rebuild
+const LIVE_RELOAD_SCRIPT = `
+    <script>
+      (() => {
+        const style = document.getElementById("bl-theme");
+        const banner = document.getElementById("bl-preview-errors");
+        const events = new EventSource("/__events");
+        events.addEventListener("reload", async () => {
+          style.textContent = await (await fetch("/style.css")).text();
+          banner.hidden = true;
+        });
+        events.addEventListener("error", (event) => {
+          if (!event.data) return;
+          banner.textContent = JSON.parse(event.data).errors.join("\\n");
+          banner.hidden = false;
+        });
+      })();
+    </script>`;
+
+export function renderPreviewHtml({ title, css, liveReload = false }) {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(title)} - Better Lyrics preview</title>
+    <style>
+      /* YouTube Music-like surroundings; not part of the theme */
+      html, body { margin: 0; height: 100%; }
+      body {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) 480px;
+        gap: 32px;
+        padding: 32px;
+        box-sizing: border-box;
+        background: #030303;
+        color: #fff;
+        font-family: Roboto, Arial, sans-serif;
+        font-size: 24px;
+      }
+      .bl-preview-artwork {
+        align-self: center;
+        aspect-ratio: 1;
+        max-height: calc(100vh - 64px);
+        border-radius: 8px;
+        background: linear-gradient(135deg, #3a1c71, #d76d77, #ffaf7b);
+      }
+      .bl-preview-panel { overflow: auto; }
+      #bl-preview-errors {
+        position: fixed;
+        inset: auto 16px 16px 16px;
+        padding: 12px 16px;
+        border-radius: 8px;
+        background: #5c1111;
+        font: 14px/1.4 ui-monospace, monospace;
+        white-space: pre-wrap;
+      }
+    </style>
+    <style id="bl-theme">
+${escapeStyle(css)}
+    </style>
+  </head>
+  <body>
+    <div class="bl-preview-artwork" aria-hidden="true"></div>
+    <div class="bl-preview-panel">
+      <div class="blyrics-container">
+${SAMPLE_LINES.map(renderLine).join("\n")}
+      </div>
+    </div>
+    <pre id="bl-preview-errors" hidden></pre>${liveReload ? LIVE_RELOAD_SCRIPT : ""}
+  </body>
+</html>
+`;
+}
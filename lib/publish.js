@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { parseVersion, compareVersions, isPrerelease, formatVersion, incrementVersion } from "./semver.js";
+import {
+  checkIsGitRepo,
+  getGitRemote,
+  parseGitHubRepo,
+  isWorkingTreeClean,
+  getUnpushedCommitCount,
+  getHeadCommit,
+} from "./git.js";
+import { checkTheme } from "./validate.js";
+import { loadConfigFiles, cacheDir } from "./config.js";
+import { DEFAULT_REGISTRY, loadRegistry, findRegisteredTheme, findLockedTheme } from "./registry.js";
+import { GitError, MetadataError, RegistryError, ThemeNotFoundError } from "./errors.js";
+
+// Where a theme stands with the theme store: its repository, whether the
+// registry knows it, and how its version compares with the locked one.
+
+const REMOTE_HINT = "git remote add origin https://github.com/username/theme-name.git";
+
+// Top-level files a theme can ship; images come from metadata.json
+const THEME_FILES = [
+  "metadata.json",
+  "style.rics",
+  "style.css",
+  "shader.json",
+  "DESCRIPTION.md",
+  "cover.png",
+];
+
+// Exactly the files the registry vendors, as sorted paths relative to the
+// theme: { files, missing }, where `missing` lists images metadata.json names
+// that don't exist (or point outside images/).
+export function collectThemeFiles(fullPath, metadata) {
+  const files = THEME_FILES.filter((file) => fs.existsSync(path.join(fullPath, file)));
+  const missing = [];
+
+  if (Array.isArray(metadata.images)) {
+    for (const image of metadata.images) {
+      const file = `images/${image}`;
+      const imagePath = path.resolve(fullPath, "images", String(image));
+      const insideImages = imagePath.startsWith(path.join(fullPath, "images") + path.sep);
+      const isDotfile = String(image).split("/").some((segment) => segment.startsWith("."));
+
+      if (typeof image !== "string" || !insideImages || isDotfile || !fs.existsSync(imagePath)) {
+        missing.push(file);
+      } else if (!files.includes(file)) {
+        files.push(file);
+      }
+    }
+  }
+
+  return { files: files.sort(), missing };
+}
+
+export function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// How a local version compares with the registry's locked version. `status` is
+// one of "first-release", "ahead", "same", "prerelease-of-locked", "behind",
+// "invalid" (local isn't semver) or "locked-invalid".
+export function compareWithLocked(localVersion, lockedVersion) {
+  const local = parseVersion(localVersion);
+  if (!local) return { status: "invalid" };
+  if (lockedVersion === undefined || lockedVersion === null) return { status: "first-release" };
+
+  const locked = parseVersion(lockedVersion);
+  if (!locked) return { status: "locked-invalid" };
+
+  const comparison = compareVersions(local, locked);
+  if (comparison > 0) return { status: "ahead" };
+  if (comparison === 0) return { status: "same" };
+
+  // 1.2.0-beta.1 sorts before 1.2.0, so it can never replace it
+  if (isPrerelease(local) && compareVersions(formatVersion({ ...local, prerelease: [] }), locked) === 0) {
+    return { status: "prerelease-of-locked", suggestedVersion: incrementVersion(lockedVersion, "patch") };
+  }
+  return { status: "behind" };
+}
+
+// The registry to use and the directory a relative local path is resolved
+// from: the caller's cwd for the option and $BL_THEME_REGISTRY, and the
+// declaring file's directory for a config setting (project config wins)
+function chooseRegistrySource(option, themePath, cwd) {
+  const fromCaller = option ?? process.env.BL_THEME_REGISTRY;
+  if (fromCaller !== undefined) return { source: fromCaller, baseDir: cwd };
+
+  const declared = loadConfigFiles(themePath)
+    .filter(({ config }) => config.registry !== undefined)
+    .pop();
+  if (declared) return { source: declared.config.registry, baseDir: path.dirname(declared.path) };
+  return { source: DEFAULT_REGISTRY, baseDir: cwd };
+}
+
+// Look a theme up in the registry. The registry source is `registry`, then
+// $BL_THEME_REGISTRY, then the config's `registry`, then the upstream store;
+// relative paths are resolved from `cwd`, or from the config file that set
+// them. `offline` uses the cached copy. Resolves to
+// { path, metadata, repo, registry: { source, origin, fetchedAt, reason? },
+//   registered, locked, version: { local, locked, status, suggestedVersion? } }
+// where `registered` and `locked` are the registry entries (or null).
+export async function getPublishStatus(dir, options = {}) {
+  const { cwd = process.cwd(), offline = false } = options;
+  const fullPath = path.resolve(cwd, dir);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new ThemeNotFoundError(`Directory "${dir}" does not exist.`);
+  }
+
+  const metadataPath = path.join(fullPath, "metadata.json");
+  if (!fs.existsSync(metadataPath)) {
+    throw new ThemeNotFoundError("metadata.json not found.", {
+      hint: "Run validation first: create-bl-theme validate",
+    });
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+  } catch (e) {
+    throw new MetadataError(`Invalid metadata.json - ${e.message}`, { cause: e });
+  }
+
+  if (!checkIsGitRepo(fullPath)) {
+    throw new GitError("Not a git repository.", { hint: `Initialize git first:\ngit init\n${REMOTE_HINT}` });
+  }
+
+  const remote = getGitRemote(fullPath);
+  if (!remote) {
+    throw new GitError("No git remote found.", { hint: `Add a remote:\n${REMOTE_HINT}` });
+  }
+
+  const repo = parseGitHubRepo(remote);
+  if (!repo) {
+    throw new GitError(`Could not parse GitHub repo from remote: ${remote}`);
+  }
+
+  const { source, baseDir } = chooseRegistrySource(options.registry, fullPath, cwd);
+
+  let registry;
+  try {
+    registry = await loadRegistry(source, { cacheDir: cacheDir(), offline, cwd: baseDir });
+  } catch (e) {
+    throw new RegistryError(`Could not load the theme registry from ${source}`, { cause: e, hint: e.message });
+  }
+
+  const registered = findRegisteredTheme(registry, repo);
+  const locked = findLockedTheme(registry, repo);
+  return {
+    path: fullPath,
+    metadata,
+    repo,
+    registry: {
+      source,
+      origin: registry.origin,
+      fetchedAt: registry.fetchedAt,
+      ...(registry.reason && { reason: registry.reason }),
+    },
+    registered,
+    locked,
+    version: {
+      local: metadata.version,
+      locked: locked?.version ?? null,
+      ...compareWithLocked(metadata.version, locked?.version),
+    },
+  };
+}
+
+// The checks the registry runs when it picks up a push, against a status from
+// getPublishStatus, without pushing anything. Returns { passed, checks, lockEntry }
+// where each check is { ok, label, details, findings? } - `findings` holds the
+// validation errors - and `lockEntry` is the entry the registry would write.
+export function simulatePublish(status) {
+  const { path: fullPath, metadata, repo, registered: entry, locked, version: verdict } = status;
+  const checks = [];
+  const check = (ok, label, details = [], extra = {}) => checks.push({ ok, label, details, ...extra });
+
+  // Full validation, as the registry validates every update
+  const findings = checkTheme(fullPath);
+  const errors = findings.filter((f) => f.severity === "error");
+  const warningCount = findings.length - errors.length;
+  if (errors.length > 0) {
+    check(false, `Theme has ${errors.length} validation error${errors.length === 1 ? "" : "s"}`, [], {
+      findings: errors,
+    });
+  } else {
+    const warningNote = warningCount > 0 ? ` (${warningCount} warning${warningCount === 1 ? "" : "s"})` : "";
+    check(true, `Theme passes validation${warningNote}`);
+  }
+
+  // The registry only sees what has been pushed
+  const isClean = isWorkingTreeClean(fullPath);
+  check(isClean, "Working tree is clean", isClean ? [] : ["Commit your changes first"]);
+
+  const unpushed = getUnpushedCommitCount(fullPath);
+  if (unpushed === null) {
+    check(false, "Branch is pushed", [
+      "The current branch has no upstream - push it with git push -u origin <branch>",
+    ]);
+  } else if (unpushed > 0) {
+    check(false, "Branch is pushed", [
+      `${unpushed} local commit${unpushed === 1 ? " is" : "s are"} not pushed yet`,
+    ]);
+  } else {
+    check(true, "Branch is pushed");
+  }
+
+  // The registered entry decides which theme this repository updates
+  if (!entry) {
+    check(false, `${repo} is registered in the theme store`, ["Register it first - see create-bl-theme publish"]);
+  } else if (entry.id !== undefined && entry.id !== metadata.id) {
+    check(false, "id matches the registered theme", [
+      `metadata.json has "${metadata.id}" but ${repo} is registered as "${entry.id}"`,
+    ]);
+  } else {
+    check(true, `id matches the registered theme${entry.id !== undefined ? ` (${entry.id})` : ""}`);
+  }
+
+  if (verdict.status === "invalid") {
+    check(false, `Version ${metadata.version} is valid semver`);
+  } else if (verdict.status === "first-release") {
+    check(true, `Version ${metadata.version} (first release)`);
+  } else if (verdict.status === "locked-invalid") {
+    check(true, `Version ${metadata.version} (locked version ${locked.version} can't be compared)`);
+  } else {
+    const isGreater = verdict.status === "ahead";
+    check(
+      isGreater,
+      isGreater
+        ? `Version increases: ${locked.version} -> ${metadata.version}`
+        : `Version ${metadata.version} is not greater than the locked ${locked.version}`,
+      isGreater ? [] : ["Bump it first: create-bl-theme bump"]
+    );
+  }
+
+  const { files, missing } = collectThemeFiles(fullPath, metadata);
+  check(missing.length === 0, "Every referenced file exists", missing.map((file) => `${file} is missing`));
+
+  const lockEntry = {
+    repo,
+    id: metadata.id,
+    version: metadata.version,
+    commit: getHeadCommit(fullPath),
+    files: files.map((file) => {
+      const data = fs.readFileSync(path.join(fullPath, file));
+      return { path: file, size: data.length, sha256: sha256(data) };
+    }),
+  };
+
+  return { passed: checks.every((c) => c.ok), checks, lockEntry };
+}
@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+
+// The theme store registry: index.json lists registered themes and
+// index.lock.json the version each one is locked at. The source can be the
+// upstream repository, a mirror URL, or a local directory or index.json path.
+
+export const DEFAULT_REGISTRY = "https://raw.githubusercontent.com/better-lyrics/themes/master";
+
+const INDEX_FILE = "index.json";
+const LOCK_FILE = "index.lock.json";
+
+// Where the index and lockfile live for a registry source. A relative local
+// path is resolved against `cwd`.
+export function resolveRegistrySource(source, { cwd = process.cwd() } = {}) {
+  if (/^https?:\/\//i.test(source)) {
+    const base = source.replace(/\/+$/, "").replace(/\/index\.json$/, "");
+    return {
+      type: "remote",
+      source,
+      indexUrl: `${base}/${INDEX_FILE}`,
+      lockUrl: `${base}/${LOCK_FILE}`,
+    };
+  }
+
+  const localPath = path.resolve(cwd, source.startsWith("file:") ? fileURLToPath(source) : source);
+  const isFile = fs.existsSync(localPath) && fs.statSync(localPath).isFile();
+  const dir = isFile ? path.dirname(localPath) : localPath;
+  return {
+    type: "local",
+    source,
+    indexPath: isFile ? localPath : path.join(dir, INDEX_FILE),
+    lockPath: path.join(dir, LOCK_FILE),
+  };
+}
+
+async function fetchJson(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (e) {
+    throw new Error(`Could not reach ${url} - ${e.cause?.message ?? e.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new Error(`${url} is not valid JSON - ${e.message}`);
+  }
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read ${filePath} - ${e.message}`);
+  }
+}
+
+function cacheFile(cacheDir, url) {
+  const key = createHash("sha256").update(url).digest("hex").slice(0, 16);
+  return path.join(cacheDir, `registry-${key}.json`);
+}
+
+function readCache(cacheDir, url) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(cacheFile(cacheDir, url), "utf-8"));
+    return cached.url === url ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(cacheDir, url, registry) {
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile(cacheDir, url), JSON.stringify({ url, ...registry }, null, 2) + "\n");
+  } catch {
+    // A read-only cache only costs us the offline fallback
+  }
+}
+
+// Both files list their themes in a `themes` array; anything else would break lookups
+function checkThemesList(data, file) {
+  if (!Array.isArray(data?.themes)) {
+    throw new Error(`${file} is malformed - "themes" must be an array`);
+  }
+  return data;
+}
+
+// Load the registry from its source, falling back to the last cached copy of a
+// remote registry when it can't be fetched (or straight away when offline).
+// Resolves to { source, origin: "local"|"network"|"cache", fetchedAt, index, lock, reason? }
+// and rejects when neither the source nor a cache is available, or the
+// registry's files are malformed.
+export async function loadRegistry(source, { cacheDir, offline = false, cwd }) {
+  const resolved = resolveRegistrySource(source, { cwd });
+
+  if (resolved.type === "local") {
+    const hasLock = fs.existsSync(resolved.lockPath);
+    return {
+      source,
+      origin: "local",
+      fetchedAt: new Date().toISOString(),
+      index: checkThemesList(readJson(resolved.indexPath), resolved.indexPath),
+      // A local registry without a lockfile simply has nothing locked yet
+      lock: hasLock ? checkThemesList(readJson(resolved.lockPath), resolved.lockPath) : { themes: [] },
+    };
+  }
+
+  let reason = "offline mode";
+  if (!offline) {
+    try {
+      const [index, lock] = await Promise.all([fetchJson(resolved.indexUrl), fetchJson(resolved.lockUrl)]);
+      checkThemesList(index, resolved.indexUrl);
+      checkThemesList(lock, resolved.lockUrl);
+      const registry = { fetchedAt: new Date().toISOString(), index, lock };
+      writeCache(cacheDir, resolved.indexUrl, registry);
+      return { source, origin: "network", ...registry };
+    } catch (e) {
+      reason = e.message;
+    }
+  }
+
+  // Cached by index URL, so "https://host/themes/" and ".../themes" share a cache
+  const cached = readCache(cacheDir, resolved.indexUrl);
+  if (!cached) {
+    throw new Error(
+      offline ? `No cached copy of ${source} - run once without --offline first` : reason
+    );
+  }
+  return {
+    source,
+    origin: "cache",
+    fetchedAt: cached.fetchedAt,
+    index: checkThemesList(cached.index, `the cached copy of ${resolved.indexUrl}`),
+    lock: checkThemesList(cached.lock, `the cached copy of ${resolved.lockUrl}`),
+    reason,
+  };
+}
+
+export function findRegisteredTheme(registry, repo) {
+  return registry.index?.themes?.find((t) => t.repo === repo) ?? null;
+}
+
+export function findLockedTheme(registry, repo) {
+  return registry.lock?.themes?.find((t) => t.repo === repo) ?? null;
+}
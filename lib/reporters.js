@@ -0,0 +1,121 @@
+import path from "path";
+import { RULES, ruleCategory } from "./rules.js";
+
+export const REPORT_FORMATS = ["text", "json", "sarif"];
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const HOMEPAGE = "https://github.com/better-lyrics/create-bl-theme";
+
+// Build the summary object shared by every machine-readable format
+export function summarize(findings, themePath) {
+  const errorCount = findings.filter((f) => f.severity === "error").length;
+  return {
+    path: themePath,
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: findings.length - errorCount,
+    findings,
+  };
+}
+
+// Path of a finding's file relative to `root`, with forward slashes
+function findingUri(root, file) {
+  return path.posix.join(root.split(path.sep).join("/"), file);
+}
+
+export function formatJson(summary) {
+  return JSON.stringify(summary, null, 2);
+}
+
+// Findings from a packed theme stay relative to the archive root, with the
+// archive named in a SARIF base URI and in annotation messages
+const ARCHIVE_BASE_ID = "ARCHIVE";
+
+// SARIF 2.1.0 log, so results show up in code-scanning UIs.
+// `root` is prepended to each file so URIs resolve from the repository root;
+// `archive` names the archive the files were read from instead.
+export function formatSarif(summary, { version, root = "", archive }) {
+  const ruleIds = [...new Set(summary.findings.map((f) => f.ruleId))];
+
+  const results = summary.findings.map((finding) => {
+    const region = {};
+    if (finding.line) {
+      region.startLine = finding.line;
+      if (finding.column) region.startColumn = finding.column;
+      if (finding.endLine) region.endLine = finding.endLine;
+      if (finding.endColumn) region.endColumn = finding.endColumn;
+    }
+
+    const physicalLocation = {
+      artifactLocation: {
+        uri: findingUri(root, finding.file),
+        ...(archive && { uriBaseId: ARCHIVE_BASE_ID }),
+      },
+    };
+    if (finding.line) {
+      physicalLocation.region = region;
+    }
+
+    return {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: finding.severity === "error" ? "error" : "warning",
+      message: { text: finding.message },
+      locations: [{ physicalLocation }],
+    };
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "create-bl-theme",
+            version,
+            informationUri: HOMEPAGE,
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: RULES[id] ?? id },
+              properties: { category: ruleCategory(id) },
+            })),
+          },
+        },
+        ...(archive && {
+          originalUriBaseIds: { [ARCHIVE_BASE_ID]: { description: { text: archive } } },
+        }),
+        results,
+      },
+    ],
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+// Workflow commands need %, CR and LF escaped in data, plus : and , in properties
+function escapeData(value) {
+  return String(value).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+}
+
+function escapeProperty(value) {
+  return escapeData(value).replace(/:/g, "%3A").replace(/,/g, "%2C");
+}
+
+// GitHub Actions annotations (::error / ::warning), shown inline on pull requests
+export function formatGitHubAnnotations(summary, { root = "", archive }) {
+  return summary.findings
+    .map((finding) => {
+      const properties = [`file=${escapeProperty(findingUri(root, finding.file))}`];
+      if (finding.line) {
+        properties.push(`line=${finding.line}`);
+        if (finding.column) properties.push(`col=${finding.column}`);
+        if (finding.endLine) properties.push(`endLine=${finding.endLine}`);
+        if (finding.endColumn) properties.push(`endColumn=${finding.endColumn}`);
+      }
+      properties.push(`title=${escapeProperty(finding.ruleId)}`);
+      const message = archive ? `${finding.message} (in ${archive})` : finding.message;
+      return `::${finding.severity} ${properties.join(",")}::${escapeData(message)}`;
+    })
+    .join("\n");
+}
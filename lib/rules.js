@@ -0,0 +1,141 @@
+// Stable identifiers for every check `validate` performs.
+// Rule ids are part of the JSON/SARIF output, so never rename an existing one.
+export const RULES = {
+  "metadata-missing": "metadata.json must exist",
+  "metadata-invalid-json": "metadata.json must be valid JSON",
+  "metadata-required-field": "metadata.json must include every required field",
+  "metadata-version-format": "version must be valid semver",
+  "metadata-id-format": "id must be lowercase letters, numbers, and hyphens",
+  "metadata-schema": "metadata.json must match the metadata JSON Schema",
+  "metadata-unknown-field": "metadata.json should only contain known fields",
+  "metadata-image-not-found": "Images listed in metadata.json must exist in images/",
+  "metadata-tags-missing": "Tags help users discover your theme",
+  "description-missing": "A description is required in metadata.json or DESCRIPTION.md",
+  "description-empty": "DESCRIPTION.md must not be empty",
+  "style-missing": "A style.rics or style.css file is required",
+  "style-empty": "The stylesheet should not be empty",
+  "rics-syntax": "style.rics must compile without errors",
+  "rics-warning": "Warnings reported by the RICS compiler",
+  "selector-unknown": "Classes should exist in Better Lyrics",
+  "custom-property-unknown": "Custom properties should exist in Better Lyrics",
+  "selector-min-version": "Selectors should be available in the theme's minVersion",
+  "selector-removed": "Selectors removed from Better Lyrics no longer match anything",
+  "images-dir-missing": "An images/ directory is required",
+  "images-empty": "images/ must contain at least one image",
+  "image-unreadable": "Images must be valid PNG, JPG, GIF, or WebP files",
+  "image-aspect-ratio": "Screenshots are recommended to be 16:9 (1280x720)",
+  "shader-missing": "shader.json is required when hasShaders is true",
+  "shader-invalid-json": "shader.json must be valid JSON",
+  "shader-schema": "shader.json must use known shader settings with valid values",
+  "shader-unknown-field": "shader.json should only contain known shader settings",
+  "shader-placeholder": "shader.json should not contain the template placeholder",
+  "shader-disabled": "The shader should be enabled when hasShaders is true",
+  "shader-unused": "shader.json is ignored when hasShaders is false",
+  "cover-missing": "A cover image helps your theme stand out in the store",
+  "changelog-missing-entry": "CHANGELOG.md should have an entry for the current version",
+  "theme-duplicate-id": "Themes in one repository must not share an id",
+  "suppression-unknown-rule": "bl-disable-next-line comments should name existing rules",
+  "style-unused-variable": "RICS variables should be used",
+  "style-unused-mixin": "RICS mixins should be included",
+  "style-duplicate-selector": "A selector should be styled in one rule",
+  "style-duplicate-property": "A property should be set once per rule",
+  "style-important": "!important should be used sparingly",
+  "style-id-selector": "Selectors should not rely on IDs",
+  "style-overly-specific": "Selectors should not chain more than 4 levels",
+  "style-empty-rule": "Rules should not be empty",
+};
+
+// Report groups, in the order `validate` prints them, with the rules in each
+// and a word on why they matter
+export const RULE_CATEGORIES = {
+  metadata: {
+    title: "Metadata",
+    explanation: "metadata.json is how the theme store identifies, lists and updates your theme.",
+    rules: [
+      "metadata-missing",
+      "metadata-invalid-json",
+      "metadata-required-field",
+      "metadata-version-format",
+      "metadata-id-format",
+      "metadata-schema",
+      "metadata-unknown-field",
+      "metadata-image-not-found",
+      "metadata-tags-missing",
+      "changelog-missing-entry",
+      "theme-duplicate-id",
+    ],
+  },
+  description: {
+    title: "Description",
+    explanation: "The description is what people read in the theme store before installing.",
+    rules: ["description-missing", "description-empty"],
+  },
+  style: {
+    title: "Style",
+    explanation:
+      "Stylesheet problems can break your theme, or leave parts of it unstyled in some Better Lyrics versions.",
+    rules: [
+      "style-missing",
+      "style-empty",
+      "rics-syntax",
+      "rics-warning",
+      "selector-unknown",
+      "custom-property-unknown",
+      "selector-min-version",
+      "selector-removed",
+      "suppression-unknown-rule",
+    ],
+  },
+  lint: {
+    title: "Style lint",
+    explanation:
+      "These don't break your theme today, but make the stylesheet harder to maintain " +
+      "or likely to break when Better Lyrics changes its markup.",
+    rules: [
+      "style-unused-variable",
+      "style-unused-mixin",
+      "style-duplicate-selector",
+      "style-duplicate-property",
+      "style-important",
+      "style-id-selector",
+      "style-overly-specific",
+      "style-empty-rule",
+    ],
+  },
+  images: {
+    title: "Images",
+    explanation:
+      "Screenshots show off your theme in the store. 16:9 (1280x720) is recommended, " +
+      "but other aspect ratios can be intentional for your theme's design.",
+    rules: ["images-dir-missing", "images-empty", "image-unreadable", "image-aspect-ratio", "cover-missing"],
+  },
+  shaders: {
+    title: "Shaders",
+    explanation: "shader.json holds the shader settings Better Lyrics applies when hasShaders is true.",
+    rules: [
+      "shader-missing",
+      "shader-invalid-json",
+      "shader-schema",
+      "shader-unknown-field",
+      "shader-placeholder",
+      "shader-disabled",
+      "shader-unused",
+    ],
+  },
+};
+
+// The category a rule is reported under
+export function ruleCategory(ruleId) {
+  return Object.keys(RULE_CATEGORIES).find((category) => RULE_CATEGORIES[category].rules.includes(ruleId));
+}
+
+// Apply rule levels from config: "off" drops a rule's findings, while "warn"
+// and "error" override their severity
+export function applyRuleSettings(findings, rules = {}) {
+  return findings
+    .filter((finding) => rules[finding.ruleId] !== "off")
+    .map((finding) => {
+      const level = rules[finding.ruleId];
+      return level ? { ...finding, severity: level === "warn" ? "warning" : "error" } : finding;
+    });
+}
@@ -0,0 +1,185 @@
+// A small JSON Schema validator covering the keywords our schemas use
+// (type, required, properties, additionalProperties, items, enum, pattern,
+// minLength, minimum, maximum, minItems, maxItems, uniqueItems), plus JSON Pointer -> line/column lookup
+// so findings can point at the exact spot in the file.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+// Every violation, each with the JSON Pointer of the offending value.
+// Unknown properties (additionalProperties: false) are reported as warnings.
+export function validateSchema(value, schema, pointer = "") {
+  const problems = [];
+  const report = (keyword, message, severity = "error", at = pointer) =>
+    problems.push({ path: at, keyword, message, severity });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      report("type", `must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return problems;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    report("enum", `must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report("minLength", schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      const expected = schema.errorMessage ?? `must match pattern ${schema.pattern}`;
+      report("pattern", `${expected}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report("minimum", `must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report("maximum", `must be <= ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report("minItems", `must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report("maxItems", `must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          report("uniqueItems", `duplicate item ${key}`, "error", `${pointer}/${index}`);
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(item, schema.items, `${pointer}/${index}`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        report("required", `missing required field "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      if (properties[key]) {
+        problems.push(...validateSchema(child, properties[key], childPointer));
+      } else if (schema.additionalProperties === false) {
+        report("additionalProperties", "is not a known field", "warning", childPointer);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Map each JSON Pointer in `source` to the 1-based line/column where its
+// value (or, for object members, its key) starts. Returns an empty map when
+// the source isn't valid JSON.
+export function locatePointers(source) {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (source[index] === "\n") {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  };
+  const skipWhitespace = () => {
+    while (index < source.length && /\s/.test(source[index])) advance();
+  };
+  const readString = () => {
+    const start = index;
+    advance();
+    while (index < source.length && source[index] !== '"') {
+      if (source[index] === "\\") advance();
+      advance();
+    }
+    advance();
+    return JSON.parse(source.slice(start, index));
+  };
+
+  const parseValue = (pointer) => {
+    skipWhitespace();
+    if (!locations.has(pointer)) {
+      locations.set(pointer, { line, column });
+    }
+    const char = source[index];
+
+    if (char === "{") {
+      advance();
+      skipWhitespace();
+      while (source[index] !== "}") {
+        skipWhitespace();
+        const keyLocation = { line, column };
+        const key = readString();
+        locations.set(`${pointer}/${escapePointer(key)}`, keyLocation);
+        skipWhitespace();
+        advance(); // :
+        parseValue(`${pointer}/${escapePointer(key)}`);
+        skipWhitespace();
+        if (source[index] === ",") advance();
+        else if (source[index] !== "}") throw new Error("expected , or }");
+      }
+      advance();
+    } else if (char === "[") {
+      advance();
+      skipWhitespace();
+      let itemIndex = 0;
+      while (source[index] !== "]") {
+        parseValue(`${pointer}/${itemIndex++}`);
+        skipWhitespace();
+        if (source[index] === ",") advance();
+        else if (source[index] !== "]") throw new Error("expected , or ]");
+        skipWhitespace();
+      }
+      advance();
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < source.length && /[^\s,\]}]/.test(source[index])) advance();
+    }
+  };
+
+  try {
+    parseValue("");
+  } catch {
+    return new Map();
+  }
+  return locations;
+}
@@ -0,0 +1,163 @@
+// Selector linting: find the Better Lyrics classes and custom properties a
+// stylesheet uses and check them against the bundled selector manifest.
+
+// Blank out comments and strings (keeping newlines) so offsets still map to lines
+function maskCss(css) {
+  return css.replace(/\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, (match) =>
+    match.replace(/[^\n]/g, " ")
+  );
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === "\n") line++;
+  }
+  return line;
+}
+
+// Every class used in a selector and every custom property, with its line in `css`
+export function collectUsage(css, prefix) {
+  const masked = maskCss(css);
+  const usage = [];
+
+  const prelude = /(?<=^|[{};])([^{};]*)\{/g;
+  for (const match of masked.matchAll(prelude)) {
+    const text = match[1];
+    if (text.trim().startsWith("@")) continue;
+    const start = match.index;
+    for (const classMatch of text.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)) {
+      if (!classMatch[1].startsWith(prefix)) continue;
+      usage.push({
+        kind: "class",
+        name: classMatch[1],
+        line: lineAt(masked, start + classMatch.index),
+      });
+    }
+  }
+
+  for (const match of masked.matchAll(/--[\w-]+/g)) {
+    if (!match[0].startsWith(`--${prefix}`)) continue;
+    usage.push({ kind: "property", name: match[0], line: lineAt(masked, match.index) });
+  }
+
+  return usage;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Closest known name, if it's close enough to be a likely typo
+export function suggestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+// Better Lyrics versions are dotted numbers like 2.0.5.6, not semver, so lib/semver.js can't compare them
+const DOTTED_VERSION_PATTERN = /^\d+(\.\d+){1,3}$/;
+
+// Compare dotted Better Lyrics versions such as 2.0.5.6 part by part
+export function compareDottedVersions(a, b) {
+  const left = String(a).split(".").map(Number);
+  const right = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return Math.sign(difference);
+  }
+  return 0;
+}
+
+// Problems with each distinct class/property: unknown (with a suggestion),
+// newer than the theme's minVersion, or removed from Better Lyrics. A minVersion
+// that isn't a dotted version is reported by the schema check, not compared here.
+export function lintSelectors(css, manifest, { minVersion } = {}) {
+  if (minVersion !== undefined && !DOTTED_VERSION_PATTERN.test(minVersion)) minVersion = undefined;
+  const problems = [];
+  const seen = new Set();
+
+  for (const use of collectUsage(css, manifest.prefix)) {
+    const key = `${use.kind}:${use.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const known = use.kind === "class" ? manifest.classes : manifest.properties;
+    const label = use.kind === "class" ? `.${use.name}` : use.name;
+    const entry = known[use.name];
+
+    if (!entry) {
+      const suggestion = suggestName(
+        use.name,
+        Object.keys(known).filter((name) => !known[name].removed)
+      );
+      problems.push({
+        type: "unknown",
+        kind: use.kind,
+        name: use.name,
+        line: use.line,
+        message:
+          `${label} is not a known Better Lyrics ${use.kind === "class" ? "class" : "custom property"}` +
+          (suggestion ? ` - did you mean ${use.kind === "class" ? "." : ""}${suggestion}?` : ""),
+      });
+      continue;
+    }
+
+    if (entry.removed && (!minVersion || compareDottedVersions(minVersion, entry.removed) >= 0)) {
+      problems.push({
+        type: "removed",
+        kind: use.kind,
+        name: use.name,
+        line: use.line,
+        message:
+          `${label} was removed in Better Lyrics ${entry.removed}` +
+          (entry.replacedBy ? ` - use ${use.kind === "class" ? "." : ""}${entry.replacedBy} instead` : ""),
+      });
+    } else if (minVersion && entry.since && compareDottedVersions(minVersion, entry.since) < 0) {
+      problems.push({
+        type: "version",
+        kind: use.kind,
+        name: use.name,
+        line: use.line,
+        message: `${label} requires Better Lyrics ${entry.since}, but minVersion is ${minVersion}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+// Where `name` first appears in the original (pre-compile) source, as a whole word
+export function locateName(source, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`${escaped}(?![\\w-])`);
+  const lines = source.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(pattern);
+    if (match) {
+      return { line: i + 1, column: match.index + 1 };
+    }
+  }
+  return null;
+}
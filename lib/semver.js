@@ -0,0 +1,127 @@
+// Semantic versioning (https://semver.org) for theme versions: parsing,
+// precedence and the increments `bump` offers.
+
+export const RELEASE_TYPES = ["patch", "minor", "major"];
+export const PRERELEASE_TYPES = ["prepatch", "preminor", "premajor", "prerelease"];
+
+const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+const IDENTIFIER_PATTERN = /^[0-9a-zA-Z-]+$/;
+
+// "1.2.3-beta.1+build.5" -> { major: 1, minor: 2, patch: 3, prerelease: ["beta", 1], build: ["build", "5"] }
+export function parseVersion(version) {
+  const match = typeof version === "string" ? version.match(SEMVER_PATTERN) : null;
+  if (!match) return null;
+  const [, major, minor, patch, prerelease, build] = match;
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease
+      ? prerelease.split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id))
+      : [],
+    build: build ? build.split(".") : [],
+  };
+}
+
+export function formatVersion({ major, minor, patch, prerelease = [] }) {
+  return `${major}.${minor}.${patch}${prerelease.length > 0 ? `-${prerelease.join(".")}` : ""}`;
+}
+
+export function isPrerelease(version) {
+  const parsed = typeof version === "string" ? parseVersion(version) : version;
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = typeof a === "number";
+  const bNumeric = typeof b === "number";
+  if (aNumeric && bNumeric) return Math.sign(a - b);
+  // Numeric identifiers always have lower precedence than alphanumeric ones
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// -1, 0 or 1 by semver precedence; build metadata is ignored.
+// Throws on anything that isn't a valid semver string.
+export function compareVersions(a, b) {
+  const left = typeof a === "string" ? parseVersion(a) : a;
+  const right = typeof b === "string" ? parseVersion(b) : b;
+  if (!left) throw new Error(`Invalid version "${a}"`);
+  if (!right) throw new Error(`Invalid version "${b}"`);
+
+  for (const part of ["major", "minor", "patch"]) {
+    if (left[part] !== right[part]) return Math.sign(left[part] - right[part]);
+  }
+
+  // A prerelease has lower precedence than the release it leads up to
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return Math.sign(right.prerelease.length - left.prerelease.length);
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    // A shorter set of identifiers has lower precedence when all before it are equal
+    if (left.prerelease[i] === undefined) return -1;
+    if (right.prerelease[i] === undefined) return 1;
+    const difference = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+export function isValidPreid(preid) {
+  return preid.split(".").every((id) => IDENTIFIER_PATTERN.test(id));
+}
+
+// The next version for a release type, following the same rules as `npm version`:
+// releasing from a prerelease of that exact version just drops the prerelease.
+export function incrementVersion(version, type, preid) {
+  const current = parseVersion(version);
+  if (!current) throw new Error(`Invalid version "${version}"`);
+
+  const { major, minor, patch, prerelease } = current;
+  const hasPrerelease = prerelease.length > 0;
+  const preidParts = preid ? preid.split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [];
+  const firstPrerelease = [...preidParts, 0];
+
+  switch (type) {
+    case "major":
+      if (hasPrerelease && minor === 0 && patch === 0) return formatVersion({ major, minor, patch });
+      return formatVersion({ major: major + 1, minor: 0, patch: 0 });
+    case "minor":
+      if (hasPrerelease && patch === 0) return formatVersion({ major, minor, patch });
+      return formatVersion({ major, minor: minor + 1, patch: 0 });
+    case "patch":
+      if (hasPrerelease) return formatVersion({ major, minor, patch });
+      return formatVersion({ major, minor, patch: patch + 1 });
+    case "premajor":
+      return formatVersion({ major: major + 1, minor: 0, patch: 0, prerelease: firstPrerelease });
+    case "preminor":
+      return formatVersion({ major, minor: minor + 1, patch: 0, prerelease: firstPrerelease });
+    case "prepatch":
+      return formatVersion({ major, minor, patch: patch + 1, prerelease: firstPrerelease });
+    case "prerelease": {
+      if (!hasPrerelease) {
+        return formatVersion({ major, minor, patch: patch + 1, prerelease: firstPrerelease });
+      }
+      // Switching to a different preid starts that series over
+      const samePreid = preidParts.every((id, i) => prerelease[i] === id);
+      if (!samePreid) {
+        return formatVersion({ major, minor, patch, prerelease: firstPrerelease });
+      }
+      const next = [...prerelease];
+      const lastNumeric = next.findLastIndex((id) => typeof id === "number");
+      if (lastNumeric >= preidParts.length) {
+        next[lastNumeric]++;
+      } else {
+        next.push(0);
+      }
+      return formatVersion({ major, minor, patch, prerelease: next });
+    }
+    default:
+      throw new Error(`Unknown release type "${type}"`);
+  }
+}
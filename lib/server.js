@@ -0,0 +1,113 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".css": "text/css; charset=utf-8",
+  ".rics": "text/plain; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// Keeps idle proxies from closing the event stream
+const KEEP_ALIVE_MS = 30000;
+
+// Local HTTP server for `dev`: serves the theme directory, the compiled CSS at
+// /style.css, a JSON status at /__status for polling, and live-reload events
+// over Server-Sent Events at /__events.
+export function createThemeServer({ root, getState, routes = {} }) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    // The extension and preview pages load from other origins
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405).end();
+      return;
+    }
+
+    if (routes[pathname]) {
+      const { type, body } = routes[pathname]();
+      res.writeHead(200, { "Content-Type": type }).end(body);
+      return;
+    }
+
+    if (pathname === "/style.css") {
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[".css"] }).end(getState().css);
+      return;
+    }
+
+    if (pathname === "/__status") {
+      const { revision, updatedAt, errors, warnings } = getState();
+      res
+        .writeHead(200, { "Content-Type": CONTENT_TYPES[".json"] })
+        .end(JSON.stringify({ revision, updatedAt, errors, warnings }));
+      return;
+    }
+
+    if (pathname === "/__events") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        Connection: "keep-alive",
+      });
+      res.write(`retry: 1000\n\n`);
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+
+    serveFile(root, pathname, res);
+  });
+
+  const keepAlive = setInterval(() => {
+    for (const client of clients) client.write(": ping\n\n");
+  }, KEEP_ALIVE_MS);
+  keepAlive.unref();
+
+  return {
+    server,
+    broadcast(event, data) {
+      const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const client of clients) client.write(message);
+    },
+    close() {
+      clearInterval(keepAlive);
+      for (const client of clients) client.end();
+      clients.clear();
+      server.close();
+    },
+  };
+}
+
+function serveFile(root, pathname, res) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, "");
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+
+  const filePath = path.resolve(root, relative);
+  const insideRoot = filePath === root || filePath.startsWith(root + path.sep);
+  const hasDotfile = relative.split("/").some((segment) => segment.startsWith("."));
+
+  if (!insideRoot || hasDotfile || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found\n");
+    return;
+  }
+
+  const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+  res.writeHead(200, { "Content-Type": type });
+  fs.createReadStream(filePath).pipe(res);
+}
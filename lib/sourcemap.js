@@ -0,0 +1,104 @@
+// Minimal source map (v3) writer for `build`.
+// RICS doesn't report positions for the CSS it generates, so mappings are
+// line-level: each output line is matched to the style.rics line that declares
+// the same selector or property.
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+// Segments are 0-based { generatedLine, generatedColumn, sourceLine, sourceColumn }
+function encodeMappings(segments) {
+  const sorted = [...segments].sort(
+    (a, b) => a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn
+  );
+  const lines = [];
+  let previousSourceLine = 0;
+  let previousSourceColumn = 0;
+
+  for (const segment of sorted) {
+    while (lines.length <= segment.generatedLine) {
+      lines.push({ parts: [], previousColumn: 0 });
+    }
+    const line = lines[segment.generatedLine];
+    line.parts.push(
+      encodeVlq(segment.generatedColumn - line.previousColumn) +
+        encodeVlq(0) +
+        encodeVlq(segment.sourceLine - previousSourceLine) +
+        encodeVlq(segment.sourceColumn - previousSourceColumn)
+    );
+    line.previousColumn = segment.generatedColumn;
+    previousSourceLine = segment.sourceLine;
+    previousSourceColumn = segment.sourceColumn;
+  }
+
+  return lines.map((line) => line.parts.join(",")).join(";");
+}
+
+// The last compound selector of a rule header, e.g. ".a .b.c, .d:hover {" -> ".d:hover"
+function lastCompound(header) {
+  const selector = header.slice(0, header.lastIndexOf("{")).split(",").pop().trim();
+  const parts = selector.split(/[\s>+~&]+/).filter(Boolean);
+  return parts.length > 0 ? parts[parts.length - 1] : selector;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Find the style.rics line (0-based) and column for every line of compiled CSS
+export function mapOutputLines(css, source) {
+  const sourceLines = source.split("\n");
+  let cursor = 0;
+
+  const find = (matches) => {
+    for (const start of [cursor, 0]) {
+      for (let i = start; i < sourceLines.length; i++) {
+        if (matches(sourceLines[i].trim())) {
+          cursor = i;
+          return { line: i, column: sourceLines[i].search(/\S/) };
+        }
+      }
+    }
+    return null;
+  };
+
+  return css.split("\n").map((raw) => {
+    const text = raw.trim();
+    if (text === "" || text === "}") {
+      return null;
+    }
+    if (text.endsWith("{")) {
+      const compound = lastCompound(text);
+      return find((line) => line.includes("{") && line.includes(compound));
+    }
+    const colon = text.indexOf(":");
+    if (colon > 0) {
+      const property = text.slice(0, colon).trim();
+      const declaration = new RegExp(`(^|[{;]\\s*)${escapeRegExp(property)}\\s*:`);
+      return find((line) => declaration.test(line));
+    }
+    return null;
+  });
+}
+
+export function createSourceMap({ file, sourcePath, sourceContent, segments }) {
+  return {
+    version: 3,
+    file,
+    sources: [sourcePath],
+    sourcesContent: [sourceContent],
+    names: [],
+    mappings: encodeMappings(segments),
+  };
+}
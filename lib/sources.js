@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+// Remote theme sources for `validate`: GitHub URLs (optionally /tree/<ref>/<subdir>),
+// `owner/repo@ref[:subdir]` shorthand, and any git URL or local repository path
+// with an optional `#<ref>[:<subdir>]` suffix.
+
+const GITHUB_URL_PATTERN =
+  /^(?:https?:\/\/)?(?:www\.)?github\.com\/([^/#]+)\/([^/#]+?)(?:\.git)?(?:\/tree\/([^/#]+)(?:\/([^#]+?))?)?\/?(?:#(.*))?$/;
+const GITHUB_SHORTHAND_PATTERN = /^([\w.-]+)\/([\w.-]+)@([^:]+)(?::(.+))?$/;
+const GIT_URL_PATTERN = /^(?:(?:https?|ssh|git|file):\/\/|[\w.-]+@[\w.-]+:)/i;
+
+// Whether `dir` is itself a repository: the top of a working tree, or a bare
+// repository with `bare`. Directories inside one don't count.
+function isGitRepository(dir, { bare = false } = {}) {
+  const args = bare ? ["--is-bare-repository", "--git-dir"] : ["--show-toplevel"];
+  try {
+    const output = execFileSync("git", ["rev-parse", ...args], {
+      cwd: dir,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    if (bare) {
+      // --git-dir is "." only at the top of a bare repository
+      const [isBare, gitDir] = output.split("\n");
+      return isBare === "true" && gitDir === ".";
+    }
+    return fs.realpathSync(output) === fs.realpathSync(dir);
+  } catch {
+    return false;
+  }
+}
+
+// "#v1.2.0:themes/neon" -> { ref: "v1.2.0", subdir: "themes/neon" }
+function parseFragment(fragment) {
+  if (!fragment) return { ref: null, subdir: null };
+  const [ref, ...subdir] = fragment.split(":");
+  return { ref: ref || null, subdir: subdir.join(":") || null };
+}
+
+function splitFragment(input) {
+  const index = input.lastIndexOf("#");
+  return index === -1 ? [input, ""] : [input.slice(0, index), input.slice(index + 1)];
+}
+
+// Describe `input` as { url, ref, subdir, label } when it names a git source,
+// or return null when it should be treated as a local theme directory.
+export function parseRemoteSource(input, { cwd = process.cwd() } = {}) {
+  const github = input.match(GITHUB_URL_PATTERN);
+  if (github) {
+    const [, owner, repo, treeRef, treeSubdir, fragment] = github;
+    const { ref, subdir } = treeRef
+      ? { ref: treeRef, subdir: treeSubdir ?? null }
+      : parseFragment(fragment);
+    return {
+      url: `https://github.com/${owner}/${repo}.git`,
+      ref,
+      subdir,
+      label: `${owner}/${repo}${ref ? `@${ref}` : ""}${subdir ? `:${subdir}` : ""}`,
+    };
+  }
+
+  // A local directory that happens to look like shorthand wins
+  const localPath = path.resolve(cwd, input);
+  const shorthand = input.match(GITHUB_SHORTHAND_PATTERN);
+  if (shorthand && !fs.existsSync(localPath)) {
+    const [, owner, repo, ref, subdir] = shorthand;
+    return {
+      url: `https://github.com/${owner}/${repo}.git`,
+      ref,
+      subdir: subdir ?? null,
+      label: input,
+    };
+  }
+
+  const [location, fragment] = splitFragment(input);
+  if (GIT_URL_PATTERN.test(location)) {
+    return { url: location, ...parseFragment(fragment), label: input };
+  }
+
+  // Local repositories: bare ones always, working copies only when a ref is asked for
+  const repoPath = path.resolve(cwd, location);
+  if (fs.existsSync(repoPath) && fs.statSync(repoPath).isDirectory()) {
+    if ((fragment && isGitRepository(repoPath)) || isGitRepository(repoPath, { bare: true })) {
+      return { url: repoPath, ...parseFragment(fragment), label: input };
+    }
+  }
+
+  return null;
+}
+
+function git(args, options = {}) {
+  return execFileSync("git", args, { encoding: "utf8", stdio: ["ignore", "pipe", "pipe"], ...options });
+}
+
+// Clone a parsed source into `dest` (an empty directory) and check out its ref.
+// Returns the directory to validate: `dest`, or the requested subdirectory inside it.
+export function fetchRemoteSource({ url, ref, subdir }, dest) {
+  // Refs and subdirectories are passed as arguments, so reject anything git would read as an option
+  if (ref && ref.startsWith("-")) {
+    throw new Error(`Invalid ref "${ref}"`);
+  }
+
+  if (!ref) {
+    git(["clone", "--depth", "1", "--", url, dest]);
+  } else {
+    try {
+      // Branches, tags and (on most hosts) full commit SHAs can be fetched directly
+      git(["init", "--quiet", dest]);
+      git(["fetch", "--quiet", "--depth", "1", "--", url, ref], { cwd: dest });
+      git(["checkout", "--quiet", "--detach", "FETCH_HEAD"], { cwd: dest });
+    } catch {
+      // Abbreviated SHAs and servers that refuse SHA fetches need the full history
+      fs.rmSync(dest, { recursive: true, force: true });
+      git(["clone", "--quiet", "--no-checkout", "--", url, dest]);
+      const commit = [ref, `origin/${ref}`]
+        .map((candidate) => {
+          try {
+            return git(["rev-parse", "--verify", "--quiet", `${candidate}^{commit}`], { cwd: dest }).trim();
+          } catch {
+            return null;
+          }
+        })
+        .find(Boolean);
+      if (!commit) {
+        throw new Error(`Ref "${ref}" was not found in ${url}`);
+      }
+      git(["checkout", "--quiet", "--detach", commit], { cwd: dest });
+    }
+  }
+
+  if (!subdir) return dest;
+
+  const themePath = path.resolve(dest, subdir);
+  if (themePath !== dest && !themePath.startsWith(dest + path.sep)) {
+    throw new Error(`Subdirectory "${subdir}" is outside the repository`);
+  }
+  if (!fs.existsSync(themePath) || !fs.statSync(themePath).isDirectory()) {
+    throw new Error(`Subdirectory "${subdir}" does not exist${ref ? ` at ${ref}` : ""}`);
+  }
+  return themePath;
+}
@@ -0,0 +1,43 @@
+import fs from "fs";
+import path from "path";
+import { compileWithDetails } from "rics";
+
+// The theme stylesheet: style.rics compiled through RICS, or style.css as-is.
+// Shared by validate, build, dev and preview so they all see the same CSS.
+
+// Compile a theme's stylesheet, preferring style.rics when both exist.
+// Returns { file, source, css, errors, warnings }, or null when the theme has
+// neither file. RICS errors and warnings keep their `start`/`end` locations.
+export function compileStylesheet(fullPath) {
+  const ricsPath = path.join(fullPath, "style.rics");
+  const cssPath = path.join(fullPath, "style.css");
+
+  if (fs.existsSync(ricsPath)) {
+    const source = fs.readFileSync(ricsPath, "utf-8");
+    try {
+      const result = compileWithDetails(source);
+      return {
+        file: "style.rics",
+        source,
+        css: result.css ?? "",
+        errors: result.errors ?? [],
+        warnings: result.warnings ?? [],
+      };
+    } catch (e) {
+      return {
+        file: "style.rics",
+        source,
+        css: "",
+        errors: [{ message: `Failed to compile - ${e.message}` }],
+        warnings: [],
+      };
+    }
+  }
+
+  if (fs.existsSync(cssPath)) {
+    const source = fs.readFileSync(cssPath, "utf-8");
+    return { file: "style.css", source, css: source, errors: [], warnings: [] };
+  }
+
+  return null;
+}
@@ -0,0 +1,50 @@
+import { RULES } from "./rules.js";
+
+// Inline suppressions in stylesheets. A comment like
+//   /* bl-disable-next-line selector-unknown, rics-warning -- used by an older version */
+// hides those rules' findings on the line below it; without rule ids it hides
+// every rule. `//` comments work too in style.rics.
+
+const DIRECTIVE_PATTERN = /(?:\/\*|\/\/)\s*bl-disable-next-line\b([^*\n]*)/g;
+
+// A stylesheet that doesn't compile can't ship, so its errors can't be hidden
+const UNSUPPRESSIBLE_RULES = new Set(["rics-syntax"]);
+
+// Every directive in a stylesheet: [{ line, column, ruleIds }], with lines and
+// columns 1-based and an empty `ruleIds` meaning every rule
+export function parseSuppressions(source) {
+  const directives = [];
+  source.split("\n").forEach((text, index) => {
+    for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+      // Anything after "--" is a reason for the reader
+      const ruleIds = match[1].split("--")[0].split(/[\s,]+/).filter(Boolean);
+      directives.push({ line: index + 1, column: match.index + 1, ruleIds });
+    }
+  });
+  return directives;
+}
+
+// Rule ids in directives that don't name a rule that can be suppressed:
+// [{ line, column, ruleId, reason }]
+export function findInvalidSuppressions(directives) {
+  return directives.flatMap(({ line, column, ruleIds }) =>
+    ruleIds
+      .filter((ruleId) => !(ruleId in RULES) || UNSUPPRESSIBLE_RULES.has(ruleId))
+      .map((ruleId) => ({
+        line,
+        column,
+        ruleId,
+        reason: ruleId in RULES ? `${ruleId} can't be suppressed` : `unknown rule "${ruleId}"`,
+      }))
+  );
+}
+
+// Drop the findings in `file` that a directive on the line above hides
+export function applySuppressions(findings, file, directives) {
+  const byLine = new Map(directives.map((directive) => [directive.line + 1, directive.ruleIds]));
+  return findings.filter((finding) => {
+    if (finding.file !== file || !finding.line || UNSUPPRESSIBLE_RULES.has(finding.ruleId)) return true;
+    const ruleIds = byLine.get(finding.line);
+    return !ruleIds || (ruleIds.length > 0 && !ruleIds.includes(finding.ruleId));
+  });
+}
@@ -0,0 +1,510 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { fileURLToPath } from "url";
+import { imageSize } from "image-size";
+import { summarize } from "./reporters.js";
+import { applyRuleSettings, ruleCategory } from "./rules.js";
+import { parseSuppressions, findInvalidSuppressions, applySuppressions } from "./suppressions.js";
+import { loadConfig } from "./config.js";
+import { validateSchema, locatePointers } from "./schema.js";
+import { lintSelectors, locateName } from "./selectors.js";
+import { lintStyle } from "./lint.js";
+import { compileStylesheet } from "./stylesheet.js";
+import { hasChangelogEntry } from "./changelog.js";
+import { parseVersion } from "./semver.js";
+import { collectFixes, applyFixes } from "./fixes.js";
+import { detectArchiveFormat, extractArchive } from "./archive.js";
+import { parseRemoteSource, fetchRemoteSource } from "./sources.js";
+import { InvalidOptionsError, SourceError, ThemeNotFoundError } from "./errors.js";
+
+// Theme validation: every check `validate` runs, the sources it can read a
+// theme from, and the safe fixes behind `--fix`.
+
+function readJsonAsset(relativePath) {
+  return JSON.parse(fs.readFileSync(fileURLToPath(new URL(relativePath, import.meta.url)), "utf-8"));
+}
+
+// JSON Schema for metadata.json, referenced from generated themes via $schema
+export const METADATA_SCHEMA = readJsonAsset("../schemas/metadata.schema.json");
+export const METADATA_SCHEMA_URL = METADATA_SCHEMA.$id;
+
+// JSON Schema for shader.json, covering the keys Better Lyrics exports
+const SHADER_SCHEMA = readJsonAsset("../schemas/shader.schema.json");
+
+// Known Better Lyrics classes and custom properties, per the Styling Guide
+const SELECTOR_MANIFEST = readJsonAsset("../data/selectors.json");
+
+// The default shader.json `create` writes, and `--fix` restores
+export const SHADER_TEMPLATE_PATH = fileURLToPath(new URL("../templates/shader.json", import.meta.url));
+
+// Recommended image dimensions
+const RECOMMENDED_WIDTH = 1280;
+const RECOMMENDED_HEIGHT = 720;
+
+// Run every check against a theme directory and return the findings as
+// { ruleId, category, severity, file, message, line?, column?, endLine?, endColumn?, hint?, path? },
+// leaving out the ones hidden by bl-disable-next-line comments in the stylesheet
+export function checkTheme(fullPath) {
+  const findings = [];
+
+  const addFinding = (severity, ruleId, file, message, details = {}) => {
+    findings.push({ ruleId, category: ruleCategory(ruleId), severity, file, message, ...details });
+  };
+  const addError = (...args) => addFinding("error", ...args);
+  const addWarning = (...args) => addFinding("warning", ...args);
+
+  // Every schema violation in a JSON file, located by its JSON path
+  const addSchemaFindings = (file, source, data, schema, ruleIdFor) => {
+    const locations = locatePointers(source);
+    for (const problem of validateSchema(data, schema)) {
+      const location = locations.get(problem.path);
+      addFinding(
+        problem.severity,
+        ruleIdFor(problem),
+        file,
+        problem.path ? `${problem.path} ${problem.message}` : problem.message,
+        { path: problem.path || "/", ...(location && { line: location.line, column: location.column }) }
+      );
+    }
+  };
+
+  // Check for DESCRIPTION.md
+  const descriptionMdPath = path.join(fullPath, "DESCRIPTION.md");
+  const hasDescriptionMd = fs.existsSync(descriptionMdPath);
+
+  // Check metadata.json
+  const metadataPath = path.join(fullPath, "metadata.json");
+  if (!fs.existsSync(metadataPath)) {
+    addError("metadata-missing", "metadata.json", "file is missing");
+  } else {
+    const metadataSource = fs.readFileSync(metadataPath, "utf-8");
+    let metadata = null;
+    try {
+      metadata = JSON.parse(metadataSource);
+    } catch (e) {
+      addError("metadata-invalid-json", "metadata.json", `invalid JSON - ${e.message}`);
+    }
+
+    if (metadata !== null) {
+      addSchemaFindings("metadata.json", metadataSource, metadata, METADATA_SCHEMA, metadataRuleId);
+
+      // The schema pattern is loose for editors; precedence checks need strict semver
+      const version = metadata.version;
+      if (
+        typeof version === "string" &&
+        new RegExp(METADATA_SCHEMA.properties.version.pattern).test(version) &&
+        !parseVersion(version)
+      ) {
+        const location = locatePointers(metadataSource).get("/version");
+        addError(
+          "metadata-version-format",
+          "metadata.json",
+          `/version "${version}" is not valid semver (no leading zeros, identifiers use only letters, digits and hyphens)`,
+          { path: "/version", ...(location && { line: location.line, column: location.column }) }
+        );
+      }
+    }
+
+    if (metadata !== null && typeof metadata === "object" && !Array.isArray(metadata)) {
+      // Check for description: either in metadata.json OR in DESCRIPTION.md
+      if (!metadata.description && !hasDescriptionMd) {
+        addError(
+          "description-missing",
+          "metadata.json",
+          'missing description - add a "description" field or create DESCRIPTION.md'
+        );
+      }
+
+      if (hasDescriptionMd) {
+        const descContent = fs.readFileSync(descriptionMdPath, "utf-8").trim();
+        if (descContent.length === 0) {
+          addError("description-empty", "DESCRIPTION.md", "file exists but is empty");
+        }
+      }
+
+      // Check if images referenced in metadata.json exist in images/
+      if (Array.isArray(metadata.images)) {
+        const imagesDir = path.join(fullPath, "images");
+        for (const image of metadata.images.filter((item) => typeof item === "string")) {
+          const imagePath = path.join(imagesDir, image);
+          if (!fs.existsSync(imagePath)) {
+            addError(
+              "metadata-image-not-found",
+              "metadata.json",
+              `image "${image}" not found in images/ directory`
+            );
+          }
+        }
+      }
+
+      if (!metadata.tags) {
+        addWarning("metadata-tags-missing", "metadata.json", "consider adding tags for discoverability");
+      }
+    }
+  }
+
+  // Check for style.rics or style.css (prefer .rics)
+  const stylesheet = compileStylesheet(fullPath);
+  const styleFile = stylesheet?.file ?? null;
+  const hasRics = styleFile === "style.rics";
+
+  // The CSS Better Lyrics will inject, for the checks that look inside it
+  let compiledCss = null;
+  let styleSource = null;
+
+  if (!stylesheet) {
+    addError("style-missing", "style.rics", "missing required file (style.rics or style.css)");
+  } else if (stylesheet.source.trim().length === 0) {
+    addWarning("style-empty", styleFile, "file is empty");
+  } else {
+    for (const err of stylesheet.errors) {
+      addError("rics-syntax", styleFile, err.message, locationOf(err));
+    }
+    for (const warn of stylesheet.warnings) {
+      addWarning("rics-warning", styleFile, warn.message || String(warn), locationOf(warn));
+    }
+    if (stylesheet.errors.length === 0) {
+      compiledCss = stylesheet.css;
+      styleSource = stylesheet.source;
+    }
+  }
+
+  // Check Better Lyrics classes and custom properties against the selector manifest
+  if (compiledCss) {
+    let minVersion;
+    try {
+      minVersion = JSON.parse(fs.readFileSync(metadataPath, "utf-8")).minVersion;
+    } catch (e) {
+      // Already reported above
+    }
+
+    for (const problem of lintSelectors(compiledCss, SELECTOR_MANIFEST, {
+      minVersion: typeof minVersion === "string" ? minVersion : undefined,
+    })) {
+      // Compiled line numbers only match the source for plain CSS
+      const location = hasRics
+        ? locateName(styleSource, problem.name)
+        : { line: problem.line, column: 1 };
+      addWarning(selectorRuleId(problem), styleFile, problem.message, location ?? {});
+    }
+  }
+
+  // Lint the stylesheet as written, once it compiles
+  if (styleSource) {
+    for (const { ruleId, message, line, column } of lintStyle(styleSource, { rics: hasRics })) {
+      addWarning(ruleId, styleFile, message, { line, column });
+    }
+  }
+
+  // Check images directory
+  const imagesDir = path.join(fullPath, "images");
+  if (!fs.existsSync(imagesDir)) {
+    addError("images-dir-missing", "images/", "directory is missing");
+  } else {
+    const images = fs
+      .readdirSync(imagesDir)
+      .filter((f) => /\.(png|jpg|jpeg|gif|webp)$/i.test(f));
+    if (images.length === 0) {
+      addError("images-empty", "images/", "directory must contain at least one image");
+    } else {
+      // Validate each image
+      for (const image of images) {
+        const imagePath = path.join(imagesDir, image);
+        const imageFile = `images/${image}`;
+
+        try {
+          const imageBuffer = fs.readFileSync(imagePath);
+          const dimensions = imageSize(imageBuffer);
+
+          if (!dimensions || !dimensions.width || !dimensions.height) {
+            addError(
+              "image-unreadable",
+              imageFile,
+              "Unable to read image dimensions - the file may be corrupted or in an unsupported format"
+            );
+            continue;
+          }
+
+          const { width, height } = dimensions;
+          const aspectRatio = (width / height).toFixed(2);
+          const recommendedAspectRatio = (RECOMMENDED_WIDTH / RECOMMENDED_HEIGHT).toFixed(2);
+
+          // Only warn if aspect ratio differs from recommended 16:9
+          if (aspectRatio !== recommendedAspectRatio) {
+            addWarning("image-aspect-ratio", imageFile, `${width}x${height} (aspect ratio ${aspectRatio})`);
+          }
+        } catch (e) {
+          // Handle corrupted or unreadable images
+          if (e.message.includes("unsupported") || e.message.includes("Invalid")) {
+            addError(
+              "image-unreadable",
+              imageFile,
+              "This image appears to be corrupted or in an unsupported format",
+              { hint: "Please ensure the file is a valid image (PNG, JPG, GIF, or WebP)" }
+            );
+          } else if (e.code === "ENOENT") {
+            addError("image-unreadable", imageFile, "File not found");
+          } else {
+            addError("image-unreadable", imageFile, `Could not validate image - ${e.message}`, {
+              hint: "The file may be corrupted or inaccessible",
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // Check shader.json against hasShaders and the shader config schema
+  const shaderPath = path.join(fullPath, "shader.json");
+  const hasShaderFile = fs.existsSync(shaderPath);
+  let hasShaders = null;
+  if (fs.existsSync(metadataPath)) {
+    try {
+      hasShaders = JSON.parse(fs.readFileSync(metadataPath, "utf-8")).hasShaders;
+    } catch (e) {
+      // Already reported JSON error above
+    }
+  }
+
+  if (hasShaders && !hasShaderFile) {
+    addError("shader-missing", "shader.json", "file is missing but hasShaders is true");
+  }
+
+  if (hasShaderFile) {
+    if (hasShaders === false) {
+      addWarning(
+        "shader-unused",
+        "shader.json",
+        "file exists but hasShaders is false in metadata.json, so it will be ignored"
+      );
+    }
+
+    const shaderSource = fs.readFileSync(shaderPath, "utf-8");
+    let shader;
+    let shaderParsed = false;
+    try {
+      shader = JSON.parse(shaderSource);
+      shaderParsed = true;
+    } catch (e) {
+      addError("shader-invalid-json", "shader.json", `invalid JSON - ${e.message}`);
+    }
+
+    if (shaderParsed) {
+      const isObject = shader !== null && typeof shader === "object" && !Array.isArray(shader);
+      // The template's placeholder note gets its own, more helpful finding
+      const { _comment, ...shaderConfig } = isObject ? shader : {};
+      addSchemaFindings(
+        "shader.json",
+        shaderSource,
+        isObject ? shaderConfig : shader,
+        SHADER_SCHEMA,
+        (problem) => (problem.keyword === "additionalProperties" ? "shader-unknown-field" : "shader-schema")
+      );
+
+      if (_comment !== undefined) {
+        const location = locatePointers(shaderSource).get("/_comment");
+        addWarning(
+          "shader-placeholder",
+          "shader.json",
+          "still contains the template's _comment placeholder - export your shader config from Better Lyrics (Settings > Export Settings) and replace this file",
+          { path: "/_comment", ...location }
+        );
+      }
+
+      if (hasShaders && shaderConfig.enabled === false) {
+        const location = locatePointers(shaderSource).get("/enabled");
+        addWarning(
+          "shader-disabled",
+          "shader.json",
+          '"enabled" is false, so the shader will not run even though hasShaders is true',
+          { path: "/enabled", ...location }
+        );
+      }
+    }
+  }
+
+  // Check for cover image (cover.png or first image in images array)
+  if (fs.existsSync(metadataPath)) {
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+      const hasCoverPng = fs.existsSync(path.join(fullPath, "cover.png"));
+      const hasImagesArray = metadata.images && metadata.images.length > 0;
+
+      if (!hasCoverPng && !hasImagesArray) {
+        addWarning(
+          "cover-missing",
+          "metadata.json",
+          "No cover image found. Add cover.png or images to the images/ folder."
+        );
+      }
+    } catch (e) {
+      // Already reported JSON error above
+    }
+  }
+
+  // A theme that keeps a changelog should describe the version it ships
+  const changelogPath = path.join(fullPath, "CHANGELOG.md");
+  if (fs.existsSync(changelogPath) && fs.existsSync(metadataPath)) {
+    try {
+      const { version } = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+      if (typeof version === "string" && !hasChangelogEntry(fs.readFileSync(changelogPath, "utf-8"), version)) {
+        addWarning("changelog-missing-entry", "CHANGELOG.md", `no entry for the current version ${version}`, {
+          hint: `Add a "## ${version}" section, or let bump write it for you`,
+        });
+      }
+    } catch (e) {
+      // Already reported JSON error above
+    }
+  }
+
+  // Inline bl-disable-next-line comments in the stylesheet
+  if (stylesheet) {
+    const directives = parseSuppressions(stylesheet.source);
+    for (const { line, column, reason } of findInvalidSuppressions(directives)) {
+      addWarning("suppression-unknown-rule", styleFile, `bl-disable-next-line: ${reason}`, { line, column });
+    }
+    return applySuppressions(findings, styleFile, directives);
+  }
+
+  return findings;
+}
+
+// Schema problems keep the rule ids the hand-written checks used
+function metadataRuleId(problem) {
+  if (problem.keyword === "required") return "metadata-required-field";
+  if (problem.keyword === "additionalProperties") return "metadata-unknown-field";
+  if (problem.path === "/version") return "metadata-version-format";
+  if (problem.path === "/id") return "metadata-id-format";
+  return "metadata-schema";
+}
+
+function selectorRuleId(problem) {
+  if (problem.type === "removed") return "selector-removed";
+  if (problem.type === "version") return "selector-min-version";
+  return problem.kind === "class" ? "selector-unknown" : "custom-property-unknown";
+}
+
+// Line/column details from a RICS error or warning, when it carries a location
+function locationOf(diagnostic) {
+  if (!diagnostic || !diagnostic.start) {
+    return {};
+  }
+  const location = { line: diagnostic.start.line, column: diagnostic.start.column };
+  if (diagnostic.end) {
+    location.endLine = diagnostic.end.line;
+    location.endColumn = diagnostic.end.column;
+  }
+  return location;
+}
+
+// Apply the safe fixes to a local theme directory, or with dryRun only work
+// them out. Returns [{ file, before, after, descriptions }].
+export function fixTheme(fullPath, { dryRun = false } = {}) {
+  const fixes = collectFixes(fullPath, { shaderTemplatePath: SHADER_TEMPLATE_PATH });
+  if (!dryRun) {
+    applyFixes(fullPath, fixes);
+  }
+  return fixes;
+}
+
+// Make a theme available as a directory: a local path as-is, or a packed
+// archive or git source in a temporary directory. Call `cleanup()` when done.
+// `onProgress` hears about slow steps: { stage: "extract" | "clone", label }.
+export function openThemeSource(input, { cwd = process.cwd(), onProgress = () => {} } = {}) {
+  const archiveFormat = detectArchiveFormat(input);
+  const archivePath = path.resolve(cwd, input);
+
+  if (archiveFormat && fs.existsSync(archivePath) && fs.statSync(archivePath).isFile()) {
+    onProgress({ stage: "extract", label: path.basename(archivePath) });
+    let tempDir;
+    try {
+      tempDir = extractArchive(archivePath, archiveFormat);
+    } catch (e) {
+      throw new SourceError(`Could not read archive "${input}" - ${e.message}`, { cause: e });
+    }
+    return { type: "archive", label: input, fullPath: tempDir, cleanup: () => removeDir(tempDir) };
+  }
+
+  const remoteSource = parseRemoteSource(input, { cwd });
+  if (remoteSource) {
+    onProgress({ stage: "clone", label: remoteSource.label });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "bl-theme-"));
+    try {
+      const fullPath = fetchRemoteSource(remoteSource, tempDir);
+      return { type: "git", label: input, fullPath, cleanup: () => removeDir(tempDir) };
+    } catch (e) {
+      removeDir(tempDir);
+      throw new SourceError(`Could not fetch "${remoteSource.label}"`, {
+        cause: e,
+        hint: "Make sure the repository exists, is accessible, and has the requested ref and subdirectory.",
+        problems: e.message ? [e.message.trim()] : undefined,
+      });
+    }
+  }
+
+  const fullPath = path.resolve(cwd, input);
+  if (!fs.existsSync(fullPath)) {
+    throw new ThemeNotFoundError(`Directory "${input}" does not exist.`);
+  }
+  return { type: "local", label: fullPath, fullPath, cleanup: () => {} };
+}
+
+// The text of every file a finding points into by line, keyed by file - for
+// code frames, since archives and git sources are gone once validation ends
+function readFindingSources(fullPath, findings) {
+  const sources = {};
+  for (const { file, line } of findings) {
+    const filePath = path.join(fullPath, file);
+    if (!line || file in sources || !fs.existsSync(filePath)) continue;
+    sources[file] = fs.readFileSync(filePath, "utf-8");
+  }
+  return sources;
+}
+
+function removeDir(dir) {
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (e) {
+    // Ignore cleanup errors
+  }
+}
+
+// Validate a theme directory, packed archive, GitHub URL or git source.
+// Resolves to { path, valid, errorCount, warningCount, findings, source, fixes? }.
+// With `fix` (local directories only), safe fixes are applied first - or with
+// `dryRun` only reported - and returned as `fixes`. Rule levels come from the
+// config files, overridden by `rules` ({ "rule-id": "off" | "warn" | "error" }).
+// `includeSources` adds `sources`, the text of each file findings have lines in.
+// `onProgress` is called as the source is fetched and again
+// ({ stage: "check", path }) before the checks run, where `path` is an archive
+// as given rather than the directory it was extracted to.
+export async function validateTheme(pathOrUrl, options = {}) {
+  const { cwd = process.cwd(), fix = false, dryRun = false, onProgress = () => {} } = options;
+  if (dryRun && !fix) {
+    throw new InvalidOptionsError("dryRun only applies together with fix");
+  }
+
+  const source = openThemeSource(pathOrUrl, { cwd, onProgress });
+  try {
+    if (fix && source.type !== "local") {
+      throw new InvalidOptionsError("Fixes can only be applied to a local theme directory");
+    }
+    // Rule levels from config files, with the `rules` option on top. Archives and
+    // git sources only get the user's config.
+    const config = loadConfig(source.type === "local" ? source.fullPath : undefined);
+    const rules = { ...config.rules, ...options.rules };
+
+    onProgress({ stage: "check", path: source.type === "archive" ? source.label : source.fullPath });
+    const fixes = fix ? fixTheme(source.fullPath, { dryRun }) : undefined;
+    const summary = summarize(applyRuleSettings(checkTheme(source.fullPath), rules), source.label);
+    return {
+      ...summary,
+      source: { type: source.type, path: source.type === "local" ? source.fullPath : pathOrUrl },
+      ...(fixes && { fixes }),
+      ...(options.includeSources && { sources: readFindingSources(source.fullPath, summary.findings) }),
+    };
+  } finally {
+    source.cleanup();
+  }
+}